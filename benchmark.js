@@ -68,24 +68,29 @@ function measure(block) {
   msg += '  -- ' + (call_avg / 1000) + ' ms avg per iteration --\n';
 
   process.stdout.write(msg);
+
+  return call_avg / 1000;
 }
 
-var c = new LRUCache(N);
+var c;
 
-console.log('N = ' + N + ', Iterations = ' + Iterations);
+// pre-build random key array (the keys put by test 7)
+var shuffledKeys = [];
+for (var i=N; --i;)
+  shuffledKeys.push('key'+i);
+shuffledKeys.sort(function (){return Math.random()-0.5; });
 
-// We should probably spin up the system in some way, or repeat the benchmarks a
-// few times, since initial heap resizing takes considerable time.
+var suite = [
 
-measure(function(){
+function(){
   // 1. put
   //    Simply append a new entry.
   //    There will be no reordering since we simply append to the tail.
   for (var i=N; --i;)
     c.set('key'+i, i);
-});
+},
 
-measure(function(){
+function(){
   // 2. get recent -> old
   //    Get entries starting with newest, effectively reversing the list.
   //
@@ -97,59 +102,225 @@ measure(function(){
   //    maximum of 7 assignment operations (minimum 3).
   for (var i=1,L=N+1; i<L; ++i)
     c.get('key'+i, i);
-});
-
+},
 
-measure(function(){
+function(){
   // 3. get old -> recent
   //    Get entries starting with oldest, effectively reversing the list.
   //
   //  - Same conditions apply as for test 2.
   for (var i=1,L=N+1; i<L; ++i)
     c.get('key'+i);
-});
+},
 
-measure(function(){
+function(){
   // 4. get missing
   //    Get try to get entries not in the cache.
   //  - Same conditions apply as for test 2, section a.
   for (var i=1,L=N+1; i<L; ++i)
     c.get('xkey'+i);
-});
+},
 
-measure(function(){
+function(){
   // 5. put overflow
   //    Overflow the cache with N more items than it can hold.
   // a. The complexity of put in this case should be:
   //    ( <get whith enough space> + <shift> )
   for (var i=N; --i;)
     c.set('key2_'+i, i);
-});
-
+},
 
-measure(function(){
+function(){
   // 6. shift head -> tail
   //    Remove all entries going from head to tail
   for (var i=1,L=N+1; i<L; ++i)
-    c.shift();
-});
+    c.removeLRUItem();
+},
 
-measure(function(){
-  // 7. put 
+function(){
+  // 7. put
   //    Simply put N new items into an empty cache with exactly N space.
   for (var i=N; --i;)
     c.set('key'+i, i);
-});
-
-// pre-build random key array
-var shuffledKeys = Array.from(c.keys());
-shuffledKeys.sort(function (){return Math.random()-0.5; });
+},
 
-measure(function(){
+function(){
   // 8. delete random
   // a. Most operations (which are not entries at head or tail) will cause closes
   //    siblings to be relinked.
   for (var i=shuffledKeys.length, key; key = shuffledKeys[--i]; ) {
-    c.delete('key'+i, i);
+    c.delete(key);
+  }
+},
+
+];
+
+console.log('N = ' + N + ', Iterations = ' + Iterations);
+
+// We should probably spin up the system in some way, or repeat the benchmarks a
+// few times, since initial heap resizing takes considerable time.
+
+// Misses return undefined rather than throw, so that test 4 measures the lookup
+c = new LRUCache(0, N, { throwOnMiss: false });
+var plain = suite.map(measure);
+
+// Run the suite again with statistics enabled, to show what they cost
+console.log('\n========== with stats enabled ==========');
+c = new LRUCache(0, N, { throwOnMiss: false, stats: true });
+var withStats = suite.map(measure);
+
+console.log('\n========== stats overhead ==========');
+suite.forEach(function(block, i) {
+  var pct = (withStats[i] / plain[i] - 1) * 100;
+  console.log('  ' + (i+1) + '. ' + plain[i].toFixed(3) + ' ms -> ' +
+              withStats[i].toFixed(3) + ' ms (' + (pct > -0.5 ? '+' : '') +
+              pct.toFixed(1) + '%)');
+});
+
+// The typed array implementation against lru.js, with many entries. The heap
+// figures need --expose-gc to be meaningful.
+var TypedLRUCache = require('./lru-typed').TypedLRUCache;
+var Entries = 1000000;
+
+function measureBackend(create) {
+  gc_collect();
+  var heapBefore = process.memoryUsage().heapUsed;
+  var cache = create(), i, start = Date.now(), result = {};
+
+  for (i = 0; i < Entries; i++)
+    cache.set(i, i);
+  result.set = Date.now() - start;
+
+  gc_collect();
+  result.heap = process.memoryUsage().heapUsed - heapBefore;
+
+  start = Date.now();
+  for (i = 0; i < Entries; i++)
+    cache.get(i);
+  result.get = Date.now() - start;
+
+  // Every set evicts the oldest entry
+  start = Date.now();
+  for (i = 0; i < Entries; i++)
+    cache.set(Entries + i, i);
+  result.evict = Date.now() - start;
+
+  return result;
+}
+
+console.log('\n========== typed arrays (' + Entries.toHuman() + ' entries) ==========');
+[
+  ['lru.js', function() { return new LRUCache(0, Entries); }],
+  ['lru-typed.js', function() { return new TypedLRUCache(0, Entries); }]
+].forEach(function(backend) {
+  var r = measureBackend(backend[1]);
+  console.log('  ' + backend[0].padEnd(14) +
+              'set ' + (r.set + ' ms').padStart(8) +
+              '   get ' + (r.get + ' ms').padStart(8) +
+              '   set+evict ' + (r.evict + ' ms').padStart(8) +
+              '   heap ' + (r.heap.toHuman(1024*1024) + ' MB').padStart(8));
+});
+
+// Hit rates of the eviction policies, and of LRU with the TinyLFU admission
+// filter. Recorded key traces (one key per line) can be given as arguments,
+// e.g. $ node benchmark.js trace1.txt trace2.txt
+var configurations = {
+  'lru'     : { policy: 'lru' },
+  'lfu'     : { policy: 'lfu' },
+  'slru'    : { policy: 'slru' },
+  '2q'      : { policy: '2q' },
+  'arc'     : { policy: 'arc' },
+  'tinylfu' : { admission: 'tinylfu' }
+};
+var Capacity = 1000;
+
+// A seeded random number generator, so that the traces are the same every run
+function random(seed) {
+  return function() {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+}
+
+// Keys drawn from a Zipf distribution: a few keys are very popular
+function zipfTrace(length, keys, skew, rand) {
+  var cdf = [], sum = 0, i;
+  for (i = 1; i <= keys; i++) {
+    cdf.push(sum += 1 / Math.pow(i, skew));
+  }
+  var trace = [];
+  for (i = 0; i < length; i++) {
+    var x = rand() * sum, lo = 0, hi = keys - 1;
+    while (lo < hi) {
+      var mid = (lo + hi) >> 1;
+      if (cdf[mid] < x) lo = mid + 1; else hi = mid;
+    }
+    trace.push('key' + lo);
   }
+  return trace;
+}
+
+var traces = {
+  'zipf': zipfTrace(200000, 10000, 0.8, random(1)),
+
+  // Popular keys interrupted by scans of keys that are never seen again
+  'zipf + scans': (function() {
+    var popular = zipfTrace(200000, 10000, 0.8, random(2)), trace = [];
+    for (var i = 0; i < popular.length; i++) {
+      if (i > 0 && i % 20000 == 0) {
+        for (var j = 0; j < 3000; j++) {
+          trace.push('scan' + i + '_' + j);
+        }
+      }
+      trace.push(popular[i]);
+    }
+    return trace;
+  })(),
+
+  // Popular keys mixed with as many keys that are used only once
+  'one-hit wonders': (function() {
+    var popular = zipfTrace(100000, 10000, 0.8, random(3)), trace = [];
+    for (var i = 0; i < popular.length; i++) {
+      trace.push(popular[i], 'once' + i);
+    }
+    return trace;
+  })(),
+
+  // A loop over slightly more keys than fit, which defeats LRU
+  'loop': (function() {
+    var trace = [];
+    for (var i = 0; i < 200000; i++) {
+      trace.push('key' + (i % (Capacity * 1.2)));
+    }
+    return trace;
+  })()
+};
+
+process.argv.slice(2).forEach(function(file) {
+  traces[file] = require('fs').readFileSync(file, 'utf8').split('\n').filter(Boolean);
+});
+
+function hitRate(options, trace) {
+  var cache = new LRUCache(0, Capacity, options);
+  var hits = 0;
+  for (var i = 0; i < trace.length; i++) {
+    if (cache.has(trace[i])) {
+      cache.get(trace[i]);
+      hits++;
+    } else {
+      cache.set(trace[i], i);
+    }
+  }
+  return hits / trace.length;
+}
+
+console.log('\n========== hit rates (' + Capacity + ' entries) ==========');
+console.log('  ' + ['trace'.padEnd(16)].concat(Object.keys(configurations).map(function(name) {
+  return name.padStart(8);
+})).join(''));
+Object.keys(traces).forEach(function(name) {
+  var rates = Object.keys(configurations).map(function(configuration) {
+    return ((hitRate(configurations[configuration], traces[name]) * 100).toFixed(1) + '%').padStart(8);
+  });
+  console.log('  ' + [name.padEnd(16)].concat(rates).join(''));
 });
@@ -7,38 +7,206 @@
 const PREVIOUS = Symbol('previous');
 const NEXT = Symbol('next');
 const CREATED_AT = Symbol('created_at');
+const SIZE = Symbol('size');
+const TTL = Symbol('ttl');
+const USED_AT = Symbol('used_at');
+const TAGS = Symbol('tags');
+const CLEAN = Symbol('clean');
+const PROMOTED = Symbol('promoted');
+
+// Returned by _get() for keys that are not in the cache
+const MISSING = Symbol('missing');
 
 class Entry {
-  constructor(key, value) {
+  constructor(key, value, size, ttl, createdAt) {
     this.key = key;
     this.value = value;
-    this[CREATED_AT] = new Date().getTime();
+    this[CREATED_AT] = createdAt;
+    this[SIZE] = size;
+    this[TTL] = ttl;
     this[PREVIOUS] = undefined;
     this[NEXT] = undefined;
   }
 }
 
+/** Thrown by get() when the key is not in the cache (unless throwOnMiss is false) */
+class NotFoundError extends Error {
+  constructor(key) {
+    super('notFound');
+    this.name = 'NotFoundError';
+    this.key = key;
+  }
+}
+
+/** Thrown when entries do not fit within the limits of the cache */
+class OverflowError extends Error {
+  constructor() {
+    super('overflow');
+    this.name = 'OverflowError';
+  }
+}
+
 /**
  * 
  * @param {int} lifetime     The maximum period (in minutes) that a cache entry is considered 
  *                           valid and can be used. A value of zero will disable lifetime expiration.
+ *                           Fractions of a minute are allowed.
  * @param {int} limit        (optional) The maximum number of entries that can be placed in the cache.
  * @param {Iterable} entries (optional) key-value pairs to be used as initial cache content.
+ * @param {Object} options   (optional) Additional settings:
+ *                           - maxSize: the maximum total size of the entries. A value of zero
+ *                             (the default) will disable size-aware eviction.
+ *                           - sizeCalculation: function(value, key) returning the size of an
+ *                             entry, used when set() is not given an explicit size.
+ *                           - ttl: the default lifetime of an entry in milliseconds. Overrides
+ *                             the lifetime argument.
+ *                           - purgeInterval: if set, expired entries are purged every
+ *                             purgeInterval milliseconds (see purgeStale()). Where WeakRef is
+ *                             missing, the timer keeps the cache alive until stopPurging().
+ *                           - dispose: function(value, key, reason) called whenever a value
+ *                             leaves the cache. The reason is one of 'evict', 'expire',
+ *                             'delete', 'set' (value replaced) or 'clear'.
+ *                           - disposeAfter: like dispose, but called once the operation that
+ *                             removed the value has completed.
+ *                           - fetchMethod: function(key, staleValue, { signal, options }) used
+ *                             by fetch() to load missing entries. May return a promise.
+ *                           - secondary: a slower store with async get(key), set(key, record)
+ *                             and delete(key) methods. Evicted entries are moved there, and
+ *                             fetch() looks there for missing entries before fetchMethod.
+ *                           - writeMode: 'write-through' (the default) writes every set() to
+ *                             the secondary store right away, 'write-back' only on eviction
+ *                             and flush().
+ *                           - allowStale: if true, get() returns an expired value once (removing
+ *                             it) instead of failing.
+ *                           - staleWhileRevalidate: for this many milliseconds after an entry
+ *                             expires, get() and fetch() return its stale value while a refresh
+ *                             runs in the background. Requires a fetchMethod.
+ *                           - staleIfError: for this many milliseconds after an entry expires,
+ *                             its stale value is kept and served when a refresh fails.
+ *                           - updateAgeOnSet: if false, overwriting an entry with set() keeps its
+ *                             age, so that it expires as if it had not been overwritten. A new
+ *                             ttl given to set() still applies. Defaults to true.
+ *                           - updateAgeOnGet: if true, get() and fetch() hits reset the age of
+ *                             the entry, so that only entries left unused expire.
+ *                           - updateAgeOnHas: if true, has() resets the age of the entries it
+ *                             finds.
+ *                           - noUpdateTTL: if true, overwriting an entry with set() keeps its
+ *                             age and its lifetime, ignoring the ttl given to set(). Entries
+ *                             that have already expired start anew.
+ *                           - throwOnMiss: if false, get() returns undefined for missing keys
+ *                             instead of throwing a NotFoundError, like Map does. Defaults to true.
+ *                           - stats: if true, the cache keeps statistics on its use (see stats()).
+ *                           - policy: the eviction policy, one of 'lru' (the default), 'lfu',
+ *                             'slru', '2q' and 'arc', or a constructor of a custom policy.
+ *                           - admission: 'tinylfu' to only let a new key into a full cache when
+ *                             it has been used more often than the entry it would evict. A key
+ *                             turned away has its value disposed of, with the reason 'evict'.
+ *                           - clock: where expiry reads the time from: a function returning the
+ *                             time in milliseconds, an object with such a now() method (e.g. a
+ *                             FakeClock in tests), or 'monotonic' for performance.now(), which
+ *                             does not jump when the system time is changed. Defaults to Date.
  */
 class LRUCache {
 
-  constructor(lifetime, limit, entries) {
+  constructor(lifetime, limit, entries, options) {
     if (typeof limit !== 'number') {
-      // called as (entries)
+      // called as (lifetime, entries[, options])
+      options = entries;
       entries = limit;
       limit = 0;
     }
 
+    if (entries && typeof entries[Symbol.iterator] !== 'function') {
+      // called as (lifetime, limit, options)
+      options = entries;
+      entries = undefined;
+    }
+
+    options = options || {};
+
+    if (options.maxSize !== undefined && !(options.maxSize >= 0)) {
+      throw new TypeError('maxSize must be a non-negative number');
+    }
+
+    if (options.sizeCalculation !== undefined && typeof options.sizeCalculation !== 'function') {
+      throw new TypeError('sizeCalculation must be a function');
+    }
+
+    if (options.dispose !== undefined && typeof options.dispose !== 'function') {
+      throw new TypeError('dispose must be a function');
+    }
+
+    if (options.disposeAfter !== undefined && typeof options.disposeAfter !== 'function') {
+      throw new TypeError('disposeAfter must be a function');
+    }
+
+    if (options.fetchMethod !== undefined && typeof options.fetchMethod !== 'function') {
+      throw new TypeError('fetchMethod must be a function');
+    }
+
+    if (options.secondary !== undefined && !['get', 'set', 'delete'].every(name => typeof options.secondary[name] === 'function')) {
+      throw new TypeError('secondary must have get, set and delete methods');
+    }
+
+    if (options.writeMode !== undefined && options.writeMode !== 'write-through' && options.writeMode !== 'write-back') {
+      throw new TypeError('writeMode must be write-through or write-back');
+    }
+
+    if (options.staleWhileRevalidate && !options.fetchMethod) {
+      throw new TypeError('staleWhileRevalidate requires a fetchMethod');
+    }
+
+    if (options.admission !== undefined && options.admission !== 'tinylfu') {
+      throw new TypeError('unknown admission policy: ' + options.admission);
+    }
+
+    if (options.admission && options.policy !== undefined && options.policy !== 'lru') {
+      throw new TypeError('admission requires the lru policy');
+    }
+
+    if (options.ttl !== undefined) {
+      lifetime = validTTL(options.ttl) / 60000;
+    }
+
     this.lifetime = lifetime;
     this.size = 0;
     this.limit = limit;
+    this.maxSize = options.maxSize || 0;
+    this.sizeCalculation = options.sizeCalculation;
+    this.calculatedSize = 0;
+    this.dispose = options.dispose;
+    this.disposeAfter = options.disposeAfter;
+    this.fetchMethod = options.fetchMethod;
+    this.secondary = options.secondary;
+    this.writeMode = options.writeMode || 'write-through';
+    this.allowStale = !!options.allowStale;
+    this.staleWhileRevalidate = options.staleWhileRevalidate || 0;
+    this.staleIfError = options.staleIfError || 0;
+    this.throwOnMiss = options.throwOnMiss !== false;
+    this.updateAgeOnSet = options.updateAgeOnSet !== false;
+    this.updateAgeOnGet = !!options.updateAgeOnGet;
+    this.updateAgeOnHas = !!options.updateAgeOnHas;
+    this.noUpdateTTL = !!options.noUpdateTTL;
+    this._now = clockOf(options.clock);
     this.tail = this.head = undefined;
     this._keymap = new Map();
+    this._version = 0; // incremented whenever entries are added, removed or reordered
+    this._disposed = undefined;
+    this._flushing = false;
+    this._inflight = new Map();
+    this._stats = options.stats ? newStats() : undefined;
+    this._events = undefined;
+    this._policy = createPolicy(this, options.policy);
+    this._sketch = undefined;
+    this._pool = undefined;
+    this._tags = undefined;
+    this._secondaryOps = options.secondary ? new Map() : undefined;
+    this._secondaryErrors = [];
+    this._transaction = undefined;
+
+    if (options.purgeInterval) {
+      this._purgeTimer = startPurging(this, options.purgeInterval);
+    }
 
     if (entries) {
       this.assign(entries);
@@ -46,9 +214,36 @@ class LRUCache {
         this.limit = this.size;
       }
     }
+
+    // The frequency sketch is sized from the limit, which is only known by now
+    if (options.admission) {
+      if (!this.limit) {
+        throw new TypeError('admission requires a limit');
+      }
+      this._sketch = new CountMinSketch(this.limit);
+    }
   }
 
-  assign = (entries) => {
+  assign = (entries, mode = 'replace') => {
+    if (mode !== 'replace' && mode !== 'merge' && mode !== 'fit') {
+      throw new TypeError('unknown assign mode: ' + mode);
+    }
+
+    // A key given more than once gets the last value given for it
+    let pairs = Array.from(new Map(entries));
+    let sizes = pairs.map(pair => this._entrySize(pair[0], pair[1]));
+
+    if (mode === 'merge') {
+      // Check every entry fits before setting any
+      if (sizes.some(size => size > this.maxSize)) {
+        throw new OverflowError();
+      }
+
+      for (let i = 0; i < pairs.length; i++) {
+        this.set(pairs[i][0], pairs[i][1], this.maxSize ? { size: sizes[i] } : undefined);
+      }
+      return;
+    }
 
     let lastAddedEntry;
 
@@ -57,33 +252,48 @@ class LRUCache {
     // limit property will be set later to the number of entries we
     // did assign.
     let limit = this.limit || Number.MAX_VALUE;
+    let maxSize = this.maxSize || Number.MAX_VALUE;
+    let calculatedSize = sizes.reduce((total, size) => total + size, 0);
+    let first = 0;
+
+    // Check everything fits before touching the current entries. 'fit' leaves
+    // out the first entries instead.
+    while (pairs.length - first > limit || calculatedSize > maxSize) {
+      if (mode === 'replace') {
+        throw new OverflowError();
+      }
+      calculatedSize -= sizes[first++];
+    }
+
+    // Keep hold of the replaced entries, so that they can be disposed
+    let oldEntry = this.dispose || this.disposeAfter ? this.tail : undefined;
 
     this._keymap.clear();
+    this._inflight.clear();
+    this._version++;
+    this.tail = undefined;
 
-    // Iterate through the provided key/value pairs
-    let it = entries[Symbol.iterator]();
-    for (let itv = it.next(); !itv.done; itv = it.next()) {
+    for (let i = first; i < pairs.length; i++) {
 
       // Build the entry to be stored
-      let newEntry = new Entry(itv.value[0], itv.value[1]);
+      let newEntry = new Entry(pairs[i][0], pairs[i][1], sizes[i], undefined, this._now());
 
       // Add the entry to the map
       this._keymap.set(newEntry.key, newEntry);
 
+      if (this._pool) {
+        newEntry[USED_AT] = ++this._pool._tick;
+      }
+
       // Update the linked list (we need this only once)
       if (!lastAddedEntry) {
-        this.tail = newEntry;
+        this.tail = newEntry; 
       } else {
         lastAddedEntry[PREVIOUS] = newEntry;
         newEntry[NEXT] = lastAddedEntry;
       }
 
       lastAddedEntry = newEntry;
-
-      // Check we have added too many entries
-      if (limit-- === 0) {
-        throw new Error('overflow');
-      }
     }
 
     // Update the list head pointer (we need this only once)
@@ -91,62 +301,258 @@ class LRUCache {
 
     // Update the list size
     this.size = this._keymap.size;
+    this.calculatedSize = calculatedSize;
+
+    // The replaced entries took their tags with them
+    this._tags = undefined;
+
+    if (this._policy) {
+      this._resetPolicy();
+    }
+
+    // Dispose the replaced values, unless they were assigned again to the same key
+    for (; oldEntry; oldEntry = oldEntry[PREVIOUS]) {
+      let entry = this._keymap.get(oldEntry.key);
+
+      if (!entry || entry.value !== oldEntry.value) {
+        this._dispose(oldEntry.value, oldEntry.key, entry ? 'set' : 'clear');
+      }
+    }
+
+    // The assigned entries count against the budget of the pool, as set() ones do
+    if (this._pool && !this._transaction) {
+      this._pool._evictToFit();
+    }
+
+    // Tell listeners the cache was cleared and the entries set, as clear() and
+    // set() would
+    if (this._events) {
+      this._emit('clear');
+
+      for (let entry = this.tail; entry; entry = entry[PREVIOUS]) {
+        this._emit('set', entry.key, entry.value);
+      }
+    }
+
+    this._flushDisposed();
   };
 
   has = (key) => {
+    return this._has(key, this.updateAgeOnHas);
+  };
+
+  _has = (key, renewAge) => {
 
     if (this._keymap.has(key)) {
 
+      var entry = this._keymap.get(key);
+
       // We are not using lifetime
-      if (this.lifetime === 0) {
+      if (this.lifetime === 0 && entry[TTL] === undefined) {
         return true;
       }
 
       // Entries have a lifetime
-      var entry = this._keymap.get(key);
-
-      var now = new Date().getTime();
-      var ageInMinutes = (now - entry[CREATED_AT]) / (60000);
+      var now = this._now();
 
-      if (ageInMinutes > this.lifetime) {
-        this['delete'](key); // Expired! Delete it!
+      if (this._isExpired(entry, now)) {
+        // Stale entries are kept for as long as they may still be served
+        if (!this.allowStale && this._isPastStaleWindow(entry, now)) {
+          this._removeEntry(entry, 'expire'); // Expired! Delete it!
+          this._flushDisposed();
+        }
 
         return false;
       }
 
+      if (renewAge) {
+        entry[CREATED_AT] = now;
+      }
+
       return true;
     }
 
     return false;
   };
 
+  getRemainingTTL = (key) => {
+    var entry = this._keymap.get(key);
+
+    if (!entry) {
+      return 0;
+    }
+
+    var ttl = this._ttlOf(entry);
+
+    if (!ttl) {
+      return Infinity;
+    }
+
+    return Math.max(0, entry[CREATED_AT] + ttl - this._now());
+  };
+
   get = (key) => {
+    var value = this._get(key);
+
+    if (value === MISSING) {
+      if (this.throwOnMiss) {
+        throw new NotFoundError(key);
+      }
+      return undefined;
+    }
+
+    return value;
+  };
+
+  // Like get(), but returns MISSING for keys that are not in the cache
+  _get = (key) => {
+
+    if (this._sketch) {
+      this._sketch.increment(key);
+    }
+
+    if (!this._has(key)) {
+      var stale = this._keymap.get(key);
+
+      // has() keeps expired entries that may still be served
+      if (stale && this._serveStale(stale)) {
+        if (this._stats) {
+          this._stats.hits++;
+        }
+        if (this._events) {
+          this._emit('hit', key, stale.value);
+        }
+        return stale.value;
+      }
+
+      if (this._stats) {
+        this._stats.misses++;
+      }
 
-    if (!this.has(key)) {
-      throw new Error('notFound');
+      if (this._events) {
+        this._emit('miss', key);
+      }
+
+      return MISSING;
     }
 
     var entry = this._keymap.get(key);
 
-    this._markEntryAsUsed(entry);
+    this._markEntryAsUsed(entry, this.updateAgeOnGet);
+
+    if (this._stats) {
+      this._stats.hits++;
+    }
+
+    if (this._events) {
+      this._emit('hit', key, entry.value);
+    }
 
     return entry.value;
   };
 
-  set = (key, value) => {
+  set = (key, value, options) => {
+
+    var size = this._entrySize(key, value, options);
+    var ttl = options && options.ttl !== undefined ? validTTL(options.ttl) : undefined;
+    var tags = options && options.tags !== undefined ? validTags(options.tags) : undefined;
+
+    // An entry that does not fit even in an empty cache is rejected
+    if (size > this.maxSize) {
+      throw new OverflowError();
+    }
+
+    if (this._sketch) {
+      this._sketch.increment(key);
+
+      // A new key turned away by the admission filter changes nothing else: its
+      // value is disposed of as if it had been evicted right away, and a fetch
+      // of the key that is under way goes on
+      if (!this._keymap.has(key) && !this._admit(key, size)) {
+        if (this._stats) {
+          this._stats.rejections++;
+        }
+
+        this._dispose(value, key, 'evict');
+        this._flushDisposed();
+
+        return this;
+      }
+    }
+
+    if (this._stats) {
+      this._stats.sets++;
+    }
+
+    // A fetch of the key that is under way must not overwrite this value
+    if (this._inflight.size) {
+      this._inflight.delete(key);
+    }
 
     // Key already exists
     if (this._keymap.has(key)) {
       var entry = this._keymap.get(key);
+      var oldValue = entry.value;
+      var keepAge = !this.updateAgeOnSet || this.noUpdateTTL;
+
+      // An entry that has already expired starts anew
+      if (keepAge && this._isExpired(entry, this._now())) {
+        keepAge = false;
+      }
+
       entry.value = value;
 
-      this._markEntryAsUsed(entry, true);
+      this.calculatedSize += size - entry[SIZE];
+      entry[SIZE] = size;
+
+      if (!keepAge || !this.noUpdateTTL) {
+        entry[TTL] = ttl;
+      }
+
+      if (entry[TAGS]) {
+        this._untag(entry);
+      }
+
+      if (tags) {
+        this._tag(entry, tags);
+      }
+
+      this._markEntryAsUsed(entry, !keepAge);
+
+      if (this.secondary) {
+        this._store(entry, options && options[PROMOTED]);
+      }
+
+      if (this._stats) {
+        this._stats.overwrites++;
+      }
+
+      if (oldValue !== value) {
+        this._dispose(oldValue, key, 'set');
+      }
+
+      this._evictToFit();
+
+      if (this._pool && !this._transaction) {
+        this._pool._evictToFit();
+      }
+
+      // Listeners are told once the cache is consistent again, in case they throw
+      if (this._events) {
+        this._emit('set', key, value);
+      }
+
+      this._flushDisposed();
 
       return this;
     }
 
     // Key does not exist
-    this._keymap.set(key, (entry = new Entry(key, value)));
+    this._keymap.set(key, (entry = new Entry(key, value, size, ttl, this._now())));
+
+    if (tags) {
+      this._tag(entry, tags);
+    }
 
     if (this.size > 0) {                  // Non-empty list
       this.head[PREVIOUS] = entry;
@@ -158,12 +564,39 @@ class LRUCache {
     this.head = entry; // In any case, this entry becomes head
 
     ++this.size;
+    ++this._version;
+    this.calculatedSize += size;
 
-    // If we hit the limit, remove the tail (LRU entry)
-    if (this.size > this.limit) {
-      this.removeLRUItem();
+    if (this.secondary) {
+      this._store(entry, options && options[PROMOTED]);
+    }
+
+    // The evictions call back once the policy and the pool know about the entry,
+    // as listeners may read it
+    this._holdEffects(() => {
+      this._evictToFit();
+
+      // The policy learns about the entry once room has been made for it, so that
+      // it is not evicted right away
+      if (this._policy) {
+        this._policy.add(entry);
+      }
+
+      if (this._pool) {
+        entry[USED_AT] = ++this._pool._tick;
+      }
+    });
+
+    if (this._pool && !this._transaction) {
+      this._pool._evictToFit();
     }
 
+    if (this._events) {
+      this._emit('set', key, value);
+    }
+
+    this._flushDisposed();
+
     return this;
   };
 
@@ -174,9 +607,12 @@ class LRUCache {
       return undefined;
     }
 
-    var entry = this.tail;
+    var entry = this._policy ? this._policy.evict() : this.tail;
 
-    if (this.size === 1) {
+    if (entry !== this.tail) {
+      // The eviction policy picked a more recently used entry
+      this._unlinkEntry(entry);
+    } else if (this.size == 1) {
       // Special case: Only one entry in the list
       this.tail = undefined;
       this.head = undefined;
@@ -187,19 +623,88 @@ class LRUCache {
     }
 
     --this.size;
+    ++this._version;
+    this.calculatedSize -= entry[SIZE];
 
     this._purgeRemovedEntry(entry);
 
+    if (entry[TAGS]) {
+      this._untag(entry);
+    }
+
+    if (this._stats) {
+      this._stats.evictions++;
+    }
+
+    // Move the entry to the secondary store, unless it is already there
+    if (this.secondary && !entry[CLEAN] && !this._isExpired(entry, this._now())) {
+      this._writeSecondary(entry);
+    }
+
+    this._dispose(entry.value, entry.key, 'evict');
+
+    if (this._events) {
+      this._emit('evict', entry.key, entry.value);
+    }
+
+    this._flushDisposed();
+
     return [entry.key, entry.value];
   };
 
   delete = (key) => {
     var entry = this._keymap.get(key);
 
+    // Nor bring back the key once the fetch completes
+    if (this._inflight.size) {
+      this._inflight.delete(key);
+    }
+
     if (!entry) return;
 
+    this._removeEntry(entry, 'delete');
+    this._flushDisposed();
+
+    return entry.value;
+  };
+
+  _removeEntry = (entry, reason) => {
     this._keymap.delete(entry.key);
+    this._unlinkEntry(entry);
+
+    this.size--;
+    this._version++;
+    this.calculatedSize -= entry[SIZE];
+
+    if (entry[TAGS]) {
+      this._untag(entry);
+    }
+
+    if (this._policy) {
+      this._policy.delete(entry);
+    }
+
+    if (this._stats) {
+      if (reason == 'expire') {
+        this._stats.expirations++;
+      } else if (reason == 'delete') {
+        this._stats.deletes++;
+      }
+    }
+
+    // Do not let a deleted or expired entry be found in the secondary store
+    if (this.secondary) {
+      this._deleteSecondary(entry.key);
+    }
+
+    this._dispose(entry.value, entry.key, reason);
+
+    if (this._events && (reason == 'expire' || reason == 'delete')) {
+      this._emit(reason, entry.key, entry.value);
+    }
+  };
 
+  _unlinkEntry = (entry) => {
     if (entry[PREVIOUS] && entry[NEXT]) {
       // relink the NEXT entry with the PREVIOUS entry
       entry[NEXT][PREVIOUS] = entry[PREVIOUS];
@@ -217,151 +722,1759 @@ class LRUCache {
     } else {// if(entry[NEXT] === undefined && entry.PREVIOUS === undefined) {
       this.tail = this.head = undefined;
     }
+  };
 
-    this.size--;
+  purgeStale = () => {
+    var now = this._now();
+    var purged = 0;
+    var entry = this.tail;
 
-    return entry.value;
+    while (entry) {
+      var newer = entry[PREVIOUS];
+
+      if (this._isPastStaleWindow(entry, now)) {
+        this._removeEntry(entry, 'expire');
+        purged++;
+      }
+
+      entry = newer;
+    }
+
+    this._flushDisposed();
+
+    return purged;
+  };
+
+  stopPurging = () => {
+    clearInterval(this._purgeTimer);
+    this._purgeTimer = undefined;
   };
 
   clear = () => {
+    var entry = this.tail;
+
     // Not clearing links should be safe, as we don't expose live links to user
     this.tail = this.head = undefined;
     this.size = 0;
+    this._version++;
+    this.calculatedSize = 0;
     this._keymap.clear();
-  };
+    this._inflight.clear();
+    this._tags = undefined;
 
-  _markEntryAsUsed = (entry, renewAge = false) => {
-    // If this entry in the HEAD of the list (the most recently
-    // used), then there is no need for update
-    if (entry === this.head) {
-      return;
+    if (this._policy) {
+      this._policy.clear();
     }
 
-    // Remove the entry from its current position (modify the chain)
-    entry[PREVIOUS][NEXT] = entry[NEXT];
+    if (this._events) {
+      this._emit('clear');
+    }
 
-    if (entry !== this.tail) {
-      entry[NEXT][PREVIOUS] = entry[PREVIOUS];
+    if (this.dispose || this.disposeAfter) {
+      for (; entry; entry = entry[PREVIOUS]) {
+        this._dispose(entry.value, entry.key, 'clear');
+      }
+      this._flushDisposed();
     }
+  };
 
-    // Put the entry in front of the current HEAD and update the head 
-    // and tail pointers. WARNING: The order of actions matters!
-    if (entry === this.tail) {
-      this.tail = entry[PREVIOUS];
+  _admit = (key, size) => {
+    // There is room without evicting anything
+    if (!this.tail || ((!this.limit || this.size < this.limit) && this.calculatedSize + size <= this.maxSize)) {
+      return true;
     }
 
-    entry[PREVIOUS] = undefined;
-    this.head[PREVIOUS] = entry;
-    entry[NEXT] = this.head;
-    this.head = entry;
+    // Otherwise the newcomer has to be more popular than the entry it would evict
+    return this._sketch.frequency(key) > this._sketch.frequency(this.tail.key);
+  };
 
-    if (renewAge) {
-      this[CREATED_AT] = new Date().getTime();
+  _tag = (entry, tags) => {
+    let index = this._tags || (this._tags = new Map());
+
+    entry[TAGS] = tags;
+
+    for (let i = 0; i < tags.length; i++) {
+      let tagged = index.get(tags[i]);
+
+      if (!tagged) {
+        index.set(tags[i], (tagged = new Set()));
+      }
+
+      tagged.add(entry);
     }
   };
 
-  _purgeRemovedEntry = (entry) => {
-    // Remove last strong reference to <entry> and remove links from the purged entry
-    entry[PREVIOUS] = entry[NEXT] = undefined;
+  _untag = (entry) => {
+    let tags = entry[TAGS];
 
-    this._keymap.delete(entry.key);
-  }
+    entry[TAGS] = undefined;
 
-  // ----------------------------------------------------------------------------
-  // Following code is optional and can be removed without breaking the core
-  // functionality.
+    for (let i = 0; i < tags.length; i++) {
+      let tagged = this._tags.get(tags[i]);
 
-  find = (key) => {
-    let e = this._keymap.get(key);
-    return e ? e.value : undefined;
-  };
+      tagged.delete(entry);
 
-  keys = () => {
-    return new KeyIterator(this.tail);
+      if (!tagged.size) {
+        this._tags.delete(tags[i]);
+      }
+    }
   };
 
-  values = () => {
-    return new ValueIterator(this.tail);
+  _store = (entry, promoted) => {
+    // An entry promoted from the secondary store is already there
+    if (promoted) {
+      entry[CREATED_AT] = promoted.createdAt;
+      entry[CLEAN] = true;
+    } else if (this.writeMode == 'write-through') {
+      entry[CLEAN] = true;
+      this._writeSecondary(entry);
+    } else {
+      entry[CLEAN] = false;
+    }
   };
 
-  entries = () => {
-    return this;
+  _writeSecondary = (entry) => {
+    let key = entry.key;
+    let record = { value: entry.value, createdAt: entry[CREATED_AT] };
+
+    if (entry[TTL] !== undefined) {
+      record.ttl = entry[TTL];
+    }
+
+    if (this._transaction) {
+      this._transaction.effects.push(() => this._writeRecord(key, record));
+      return;
+    }
+
+    this._writeRecord(key, record);
   };
 
-  [Symbol.iterator]() {
-    return new EntryIterator(this.tail);
+  _writeRecord = (key, record) => {
+    // Failed writes are reported by flush()
+    this._secondaryOp(key, () => this.secondary.set(key, record)).catch(err => {
+      this._secondaryErrors.push(err);
+    });
   };
 
-  forEach = (fun, thisObj) => {
+  _deleteSecondary = (key) => {
+    if (this._transaction) {
+      this._transaction.effects.push(() => this._deleteSecondary(key));
+      return;
+    }
+
+    this._secondaryOp(key, () => this.secondary.delete(key)).catch(err => {
+      this._secondaryErrors.push(err);
+    });
+  };
+
+  _secondaryOp = (key, operation) => {
+    // Operations on the same key run one after the other, so that they apply in order
+    let previous = this._secondaryOps.get(key) || Promise.resolve();
+    let result = previous.then(operation);
+    let settled = result.then(() => {}, () => {});
+
+    this._secondaryOps.set(key, settled);
+
+    settled.then(() => {
+      if (this._secondaryOps.get(key) === settled) {
+        this._secondaryOps.delete(key);
+      }
+    });
+
+    return result;
+  };
+
+  _loadSecondary = (key, staleValue, context) => {
+    return this._secondaryOp(key, () => this.secondary.get(key)).then(record => {
+      let ttl = record && (record.ttl !== undefined ? record.ttl : this.lifetime * 60000);
+
+      if (record && !(ttl > 0 && this._now() - record.createdAt > ttl)) {
+        // Promote the entry, keeping its age and lifetime
+        context.options.ttl = record.ttl;
+        context.options[PROMOTED] = record;
+        return record.value;
+      }
+
+      if (record) {
+        this._deleteSecondary(key);
+      }
+
+      return this.fetchMethod ? this.fetchMethod(key, staleValue, context) : undefined;
+    });
+  };
+
+  _resetPolicy = () => {
+    // Tell the policy about every entry, from the least recently used one
+    this._policy.clear();
+
+    for (let entry = this.tail; entry; entry = entry[PREVIOUS]) {
+      this._policy.add(entry);
+    }
+  };
+
+  _markEntryAsUsed = (entry, renewAge = false) => {
+    if (renewAge) {
+      entry[CREATED_AT] = this._now();
+    }
+
+    // Caches of a pool share an order of use
+    if (this._pool) {
+      entry[USED_AT] = ++this._pool._tick;
+    }
+
+    if (this._policy) {
+      this._policy.touch(entry);
+    }
+
+    // If this entry in the HEAD of the list (the most recently
+    // used), then there is no need for update
+    if (entry === this.head) {
+      return;
+    }
+
+    this._version++;
+
+    // Remove the entry from its current position (modify the chain)
+    entry[PREVIOUS][NEXT] = entry[NEXT];
+
+    if (entry !== this.tail) {
+      entry[NEXT][PREVIOUS] = entry[PREVIOUS];
+    }
+
+    // Put the entry in front of the current HEAD and update the head 
+    // and tail pointers. WARNING: The order of actions matters!
+    if (entry === this.tail) {
+      this.tail = entry[PREVIOUS];
+    }
+
+    entry[PREVIOUS] = undefined;
+    this.head[PREVIOUS] = entry;
+    entry[NEXT] = this.head;
+    this.head = entry;
+  };
+
+  _purgeRemovedEntry = (entry) => {
+    // Remove last strong reference to <entry> and remove links from the purged entry
+    entry[PREVIOUS] = entry[NEXT] = undefined;
+
+    this._keymap.delete(entry.key);
+  }
+
+  _evictToFit = () => {
+    // If we hit a limit, remove the tail (LRU entry) until we are within it
+    while ((this.limit && this.size > this.limit) || this.calculatedSize > this.maxSize) {
+      this.removeLRUItem();
+    }
+  };
+
+  // Calls <fn>, holding back the dispose calls, events and writes it causes until
+  // it has returned, as a transaction does
+  _holdEffects = (fn) => {
+    if (this._transaction) {
+      fn();
+      return;
+    }
+
+    let held = this._transaction = { effects: [], start: 0 };
+
+    try {
+      fn();
+    } finally {
+      this._transaction = undefined;
+    }
+
+    for (let i = 0; i < held.effects.length; i++) {
+      held.effects[i]();
+    }
+  };
+
+  _entrySize = (key, value, options) => {
+    // Sizes are only tracked when there is a size budget to enforce
+    if (!this.maxSize) {
+      return 0;
+    }
+
+    var size;
+
+    if (options && options.size !== undefined) {
+      size = options.size;
+    } else if (this.sizeCalculation) {
+      size = this.sizeCalculation(value, key);
+    } else {
+      throw new TypeError('a size or sizeCalculation is required when maxSize is set');
+    }
+
+    if (typeof size !== 'number' || !(size >= 0)) {
+      throw new TypeError('size must be a non-negative number');
+    }
+
+    return size;
+  };
+
+  _dispose = (value, key, reason) => {
+    // Inside a transaction, side effects wait for it to complete
+    if (this._transaction) {
+      this._transaction.effects.push(() => this._dispose(value, key, reason));
+      return;
+    }
+
+    if (this.dispose) {
+      this.dispose(value, key, reason);
+    }
+
+    // disposeAfter calls are queued until the current operation has completed
+    if (this.disposeAfter) {
+      (this._disposed || (this._disposed = [])).push([value, key, reason]);
+    }
+  };
+
+  _flushDisposed = () => {
+    // Nothing queued, or a disposeAfter callback has modified the cache and the
+    // queue is already being flushed further up the stack
+    if (!this._disposed || this._flushing) {
+      return;
+    }
+
+    this._flushing = true;
+
+    try {
+      while (this._disposed.length) {
+        var disposed = this._disposed;
+        this._disposed = [];
+
+        for (var i = 0; i < disposed.length; i++) {
+          this.disposeAfter(disposed[i][0], disposed[i][1], disposed[i][2]);
+        }
+      }
+    } finally {
+      this._flushing = false;
+    }
+  };
+
+  _serveStale = (entry) => {
+    if (this._revalidate(entry)) {
+      return true;
+    }
+
+    // Serve the stale value once
+    if (this.allowStale) {
+      this._removeEntry(entry, 'expire');
+      this._flushDisposed();
+
+      return true;
+    }
+
+    return false;
+  };
+
+  _revalidate = (entry) => {
+    // Serve the stale value while it is being refreshed
+    if (!this.staleWhileRevalidate || this._isExpired(entry, this._now(), this.staleWhileRevalidate)) {
+      return false;
+    }
+
+    if (!this._inflight.has(entry.key)) {
+      // Failures are dealt with by _startFetch()
+      this._startFetch(entry.key, entry.value).promise.catch(() => {});
+    }
+
+    this._markEntryAsUsed(entry);
+
+    return true;
+  };
+
+  _ttlOf = (entry) => {
+    // Entries without a TTL of their own use the lifetime of the cache
+    return entry[TTL] !== undefined ? entry[TTL] : this.lifetime * 60000;
+  };
+
+  _isExpired = (entry, now, grace) => {
+    var ttl = this._ttlOf(entry);
+    return ttl > 0 && now - entry[CREATED_AT] > ttl + (grace || 0);
+  };
+
+  _isPastStaleWindow = (entry, now) => {
+    return this._isExpired(entry, now, Math.max(this.staleWhileRevalidate, this.staleIfError));
+  };
+
+  // ----------------------------------------------------------------------------
+  // Following code is optional and can be removed without breaking the core
+  // functionality.
+
+  find = (key) => {
+    let e = this._keymap.get(key);
+    return e ? e.value : undefined;
+  };
+
+  peek = (key) => {
+    let e = this._keymap.get(key);
+    return e && !this._isExpired(e, this._now()) ? e.value : undefined;
+  };
+
+  stats = () => {
+    let s = this._stats;
+
+    if (!s) {
+      return undefined;
+    }
+
+    let now = this._now();
+    let totalAge = 0;
+
+    for (let entry = this.tail; entry; entry = entry[PREVIOUS]) {
+      totalAge += now - entry[CREATED_AT];
+    }
+
+    return {
+      hits        : s.hits,
+      misses      : s.misses,
+      sets        : s.sets,
+      overwrites  : s.overwrites,
+      evictions   : s.evictions,
+      expirations : s.expirations,
+      deletes     : s.deletes,
+      rejections  : s.rejections,
+      hitRatio    : s.hits + s.misses ? s.hits / (s.hits + s.misses) : 0,
+      averageAge  : this.size ? totalAge / this.size : 0
+    };
+  };
+
+  resetStats = () => {
+    if (this._stats) {
+      this._stats = newStats();
+    }
+  };
+
+  on = (event, listener) => {
+    if (!EVENTS.has(event)) {
+      throw new TypeError('unknown event: ' + event);
+    }
+
+    if (typeof listener !== 'function') {
+      throw new TypeError('listener must be a function');
+    }
+
+    let events = this._events || (this._events = new Map());
+    let listeners = events.get(event);
+
+    if (listeners) {
+      listeners.push(listener);
+    } else {
+      events.set(event, [listener]);
+    }
+
+    return this;
+  };
+
+  once = (event, listener) => {
+    let onceListener = (...args) => {
+      this.off(event, onceListener);
+      listener.apply(this, args);
+    };
+
+    // Allows off() to be called with the original listener
+    onceListener.listener = listener;
+
+    return this.on(event, onceListener);
+  };
+
+  off = (event, listener) => {
+    let listeners = this._events && this._events.get(event);
+
+    if (!listeners) {
+      return this;
+    }
+
+    for (let i = listeners.length - 1; i >= 0; i--) {
+      if (listeners[i] === listener || listeners[i].listener === listener) {
+        listeners.splice(i, 1);
+        break;
+      }
+    }
+
+    // Without any listener left, the cache no longer pays for events
+    if (!listeners.length) {
+      this._events.delete(event);
+
+      if (!this._events.size) {
+        this._events = undefined;
+      }
+    }
+
+    return this;
+  };
+
+  _emit = (event, ...args) => {
+    if (this._transaction) {
+      this._transaction.effects.push(() => this._events && this._emit(event, ...args));
+      return;
+    }
+
+    let listeners = this._events.get(event);
+
+    if (!listeners) {
+      return;
+    }
+
+    // Listeners added or removed by a listener only take effect on the next event
+    listeners = listeners.slice();
+
+    for (let i = 0; i < listeners.length; i++) {
+      listeners[i].apply(this, args);
+    }
+  };
+
+  invalidateTag = (tag) => {
+    let tagged = this._tags && this._tags.get(tag);
+
+    if (!tagged) {
+      return 0;
+    }
+
+    // Removing the entries updates the tag index, so work on a copy
+    let entries = Array.from(tagged);
+
+    for (let i = 0; i < entries.length; i++) {
+      this._removeEntry(entries[i], 'delete');
+    }
+
+    this._flushDisposed();
+
+    return entries.length;
+  };
+
+  deleteWhere = (predicate) => {
+    let now = this._now();
+    let deleted = 0;
+
+    try {
+      for (let entry = skipExpired(this, this.tail, now); entry; ) {
+        let newer = skipExpired(this, entry[PREVIOUS], now);
+        let meta = {
+          createdAt : entry[CREATED_AT],
+          ttl       : this._ttlOf(entry),
+          size      : entry[SIZE],
+          tags      : entry[TAGS] ? entry[TAGS].slice() : []
+        };
+
+        if (predicate(entry.value, entry.key, meta)) {
+          this._removeEntry(entry, 'delete');
+          deleted++;
+        }
+
+        entry = newer;
+      }
+    } finally {
+      this._flushDisposed();
+    }
+
+    return deleted;
+  };
+
+  setMany = (entries, options) => {
+    for (let [key, value] of entries) {
+      // Each entry gets its own copy of the options
+      this.set(key, value, options && Object.assign({}, options));
+    }
+
+    return this;
+  };
+
+  getMany = (keys) => {
+    let hits = new Map();
+    let misses = [];
+
+    for (let key of keys) {
+      let value = this._get(key);
+
+      if (value === MISSING) {
+        misses.push(key);
+      } else {
+        hits.set(key, value);
+      }
+    }
+
+    return { hits: hits, misses: misses };
+  };
+
+  deleteMany = (keys) => {
+    let now = this._now();
+    let deleted = 0;
+
+    for (let key of keys) {
+      let entry = this._keymap.get(key);
+
+      // Expired entries are removed as well, but not counted
+      if (entry) {
+        if (!this._isExpired(entry, now)) {
+          deleted++;
+        }
+        this.delete(key);
+      }
+    }
+
+    return deleted;
+  };
+
+  /**
+   * Calls <fn> with the cache, and returns what it returns. If <fn> throws, the
+   * contents of the cache are restored as they were before, in the same order,
+   * and the error is rethrown. Events, dispose calls, writes to the secondary
+   * store and evictions from other caches of a pool wait until <fn> has
+   * returned, and are dropped if it throws. <fn> must not be asynchronous.
+   * Starting a transaction copies the state of every entry, and that of the
+   * eviction policy, the admission filter and the fetches under way.
+   */
+  transaction = (fn) => {
+    let outer = this._transaction;
+    let transaction = this._transaction = {
+      saved    : saveEntries(this),
+      policy   : this._policy && typeof this._policy.save === 'function' ? this._policy.save() : undefined,
+      sketch   : this._sketch && this._sketch.save(),
+      inflight : new Map(this._inflight),
+      stats    : this._stats && Object.assign({}, this._stats),
+      effects  : outer ? outer.effects : [],
+      start    : outer ? outer.effects.length : 0
+    };
+    let result;
+
+    try {
+      result = fn(this);
+
+      if (result && typeof result.then === 'function') {
+        throw new TypeError('a transaction cannot be asynchronous');
+      }
+    } catch (err) {
+      this._transaction = outer;
+      restoreEntries(this, transaction);
+      throw err;
+    }
+
+    this._transaction = outer;
+
+    // A nested transaction takes effect with the outer one
+    if (outer) {
+      return result;
+    }
+
+    for (let i = 0; i < transaction.effects.length; i++) {
+      transaction.effects[i]();
+    }
+
+    if (this._pool) {
+      this._pool._evictToFit();
+    }
+
+    this._flushDisposed();
+
+    return result;
+  };
+
+  flush = () => {
+    if (!this.secondary) {
+      return Promise.resolve();
+    }
+
+    let now = this._now();
+
+    // Write back the entries that only live in memory
+    for (let entry = this.tail; entry; entry = entry[PREVIOUS]) {
+      if (!entry[CLEAN] && !this._isExpired(entry, now)) {
+        entry[CLEAN] = true;
+        this._writeSecondary(entry);
+      }
+    }
+
+    return Promise.all(Array.from(this._secondaryOps.values())).then(() => {
+      let errors = this._secondaryErrors;
+
+      if (errors.length) {
+        this._secondaryErrors = [];
+        throw errors[0];
+      }
+    });
+  };
+
+  dump = (options) => {
+    let serializeKey   = options && options.serializeKey   || identity;
+    let serializeValue = options && options.serializeValue || identity;
+    let now = this._now();
+    let entries = [];
+
+    for (let entry = skipExpired(this, this.tail, now); entry; entry = skipExpired(this, entry[PREVIOUS], now)) {
+      let item = {
+        key       : serializeKey(entry.key),
+        value     : serializeValue(entry.value),
+        createdAt : entry[CREATED_AT]
+      };
+
+      if (entry[TTL] !== undefined) {
+        item.ttl = entry[TTL];
+      }
+
+      if (this.maxSize) {
+        item.size = entry[SIZE];
+      }
+
+      if (entry[TAGS]) {
+        item.tags = entry[TAGS].slice();
+      }
+
+      entries.push(item);
+    }
+
+    return { version: SNAPSHOT_VERSION, entries: entries };
+    };
+
+  load = (snapshot, options) => {
+    if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) {
+      throw new TypeError('unsupported snapshot version');
+    }
+
+    let deserializeKey   = options && options.deserializeKey   || identity;
+    let deserializeValue = options && options.deserializeValue || identity;
+    let merge = !!(options && options.merge);
+    let now = this._now();
+
+    // Merged entries only get the room left by the ones already in the cache
+    let limit = (this.limit || Number.MAX_VALUE) - (merge ? this.size : 0);
+    let maxSize = (this.maxSize || Number.MAX_VALUE) - (merge ? this.calculatedSize : 0);
+    let calculatedSize = 0;
+    let restored = [];
+    let restoredKeys = new Set();
+
+    // Walk from the most recently used entry, so that the oldest ones are the
+    // ones left out when the snapshot does not fit
+    for (let i = snapshot.entries.length - 1; i >= 0 && restored.length < limit; i--) {
+      let item = snapshot.entries[i];
+      let key = deserializeKey(item.key), value = deserializeValue(item.value);
+      let size = this.maxSize && item.size !== undefined ? item.size : this._entrySize(key, value);
+      let entry = new Entry(key, value, size, item.ttl, item.createdAt);
+
+      if (this._isExpired(entry, now) || restoredKeys.has(key) || (merge && this._keymap.has(key))) {
+        continue;
+      }
+
+      if (calculatedSize + size > maxSize) {
+        break;
+      }
+
+      calculatedSize += size;
+      restored.push([entry, item]);
+      restoredKeys.add(key);
+    }
+
+    if (merge) {
+      this._version++;
+    } else {
+      this.clear();
+    }
+
+    // For the pool, the entries were used in turn, unless they are merged behind
+    // older ones: then they are as old as the least recently used one
+    let behind = this.tail;
+    let tick = !this._pool ? 0 : behind ? behind[USED_AT] : (this._pool._tick += restored.length);
+
+    // Link the entries behind the least recently used one, from the newest to
+    // the oldest
+    for (let i = 0; i < restored.length; i++) {
+      let entry = restored[i][0], item = restored[i][1];
+
+      this._keymap.set(entry.key, entry);
+
+      if (this._pool) {
+        entry[USED_AT] = behind ? tick : tick - i;
+      }
+
+      if (item.tags) {
+        this._tag(entry, validTags(item.tags));
+      }
+
+      if (this.tail) {
+        this.tail[NEXT] = entry;
+        entry[PREVIOUS] = this.tail;
+      } else {
+        this.head = entry;
+      }
+
+      this.tail = entry;
+    }
+
+    this.size = this._keymap.size;
+    this.calculatedSize += calculatedSize;
+
+    if (this._policy) {
+      this._resetPolicy();
+    }
+
+    if (this._pool && !this._transaction) {
+      this._pool._evictToFit();
+      this._flushDisposed();
+    }
+
+    return this.size;
+  };
+
+  fetch = (key, options) => {
+    if (!this.fetchMethod && !this.secondary) {
+      return Promise.reject(new TypeError('fetch requires a fetchMethod or a secondary store'));
+    }
+
+    var entry = this._keymap.get(key);
+    var now = this._now();
+
+    if (entry && !this._isExpired(entry, now)) {
+      return Promise.resolve(this.get(key));
+    }
+
+    if (entry && this._revalidate(entry)) {
+      if (this._stats) {
+        this._stats.hits++;
+      }
+      if (this._events) {
+        this._emit('hit', key, entry.value);
+      }
+      return Promise.resolve(entry.value);
+    }
+
+    if (this._stats) {
+      this._stats.misses++;
+    }
+
+    if (this._events) {
+      this._emit('miss', key);
+    }
+
+    // Concurrent fetches of the same key share a single request
+    var fetching = this._inflight.get(key);
+
+    if (!fetching) {
+      fetching = this._startFetch(key, entry ? entry.value : undefined);
+    }
+
+    var signal = options && options.signal;
+    var promise = waitForFetch(fetching, signal);
+
+    if (!entry || !this.staleIfError) {
+      return promise;
+    }
+
+    // Fall back on the stale value, if _startFetch() has kept it
+    return promise.catch(err => {
+      if (this._keymap.get(key) !== entry || (signal && signal.aborted)) {
+        throw err;
+      }
+      return entry.value;
+    });
+  };
+
+  _startFetch = (key, staleValue) => {
+    var controller = typeof AbortController == 'function' ? new AbortController() : undefined;
+    var context = {
+      signal  : controller && controller.signal,
+      options : {} // set() options for the fetched value, e.g. a ttl
+    };
+    var fetching = { waiting: 0, promise: undefined, abort: undefined };
+
+    // False once the key has been set, deleted or cleared since the fetch started
+    var current = () => this._inflight.get(key) === fetching;
+
+    var done = () => {
+      if (current()) {
+        this._inflight.delete(key);
+      }
+    };
+
+    fetching.abort = () => {
+      done();
+      if (controller) {
+        controller.abort();
+      }
+    };
+
+    fetching.promise = new Promise(resolve => {
+      resolve(this.secondary ? this._loadSecondary(key, staleValue, context) : this.fetchMethod(key, staleValue, context));
+    }).then(value => {
+      var superseded = !current();
+      done();
+
+      if (context.signal && context.signal.aborted) {
+        throw abortReason(context.signal);
+      }
+
+      if (value !== undefined && !superseded) {
+        this.set(key, value, context.options);
+      }
+
+      return value;
+    }, err => {
+      // Nothing is cached on failure, so the next fetch will try again
+      if (!current()) {
+        throw err;
+      }
+      done();
+
+      // The stale value is dropped as well, unless it may be served on errors
+      var entry = this._keymap.get(key);
+      var now = this._now();
+
+      if (entry && this._isExpired(entry, now, this.staleIfError)) {
+        this._removeEntry(entry, 'expire');
+        this._flushDisposed();
+      }
+
+      throw err;
+    });
+
+    this._inflight.set(key, fetching);
+
+    return fetching;
+  };
+
+  /** The least recently used entry, as a read-only { key, value } object */
+  get oldest() {
+    return entryView(skipExpired(this, this.tail, this._now()));
+  }
+
+  /** The most recently used entry, as a read-only { key, value } object */
+  get newest() {
+    return entryView(skipExpired(this, this.head, this._now(), NEXT));
+  }
+
+  keys = () => {
+    return new KeyIterator(this.tail, this);
+  };
+
+  values = () => {
+    return new ValueIterator(this.tail, this);
+  };
+
+  entries = () => {
+    return this;
+  };
+
+  [Symbol.iterator]() {
+    return new EntryIterator(this.tail, this);
+  };
+
+  /** Like keys(), starting with the most recently used entry */
+  rkeys = () => {
+    return new KeyIterator(this.head, this, NEXT);
+  };
+
+  /** Like values(), starting with the most recently used entry */
+  rvalues = () => {
+    return new ValueIterator(this.head, this, NEXT);
+  };
+
+  /** Like entries(), starting with the most recently used entry */
+  rentries = () => {
+    return new EntryIterator(this.head, this, NEXT);
+  };
+
+  /**
+   * Returns the [key, value] pairs of the entries ranked from <start> up to
+   * <end> (excluded) by recency: rank 0 is the most recently used entry. As with
+   * Array.slice(), negative ranks count back from the least recently used entry.
+   * Expired entries are skipped, and no use is registered.
+   */
+  slice = (start = 0, end = Infinity) => {
+    if (start < 0 || end < 0) {
+      return Array.from(this.rentries()).slice(start, end);
+    }
+
+    let result = [];
+    let it = this.rentries();
+
+    for (let rank = 0; rank < end; rank++) {
+      let item = it.next();
+      if (item.done) {
+        break;
+      }
+      if (rank >= start) {
+        result.push(item.value);
+      }
+    }
+
+    return result;
+  };
+
+  forEach = (fun, thisObj) => {
     if (typeof thisObj !== 'object') {
       thisObj = this;
     }
-    let entry = this.tail;
-    while (entry) {
-      fun.call(thisObj, entry.value, entry.key, this);
-      entry = entry[PREVIOUS];
+    let now = this._now();
+    let version = this._version;
+    let entry = skipExpired(this, this.tail, now);
+    while (entry) {
+      fun.call(thisObj, entry.value, entry.key, this);
+      checkUnmodified(this, version);
+      entry = skipExpired(this, entry[PREVIOUS], now);
+    }
+  };
+
+  /** Returns a JSON (array) representation */
+  toJSON = (withDate = false) => {
+    var output = new Array(this.size);
+    var i = 0;
+    var now = this._now();
+    var entry = skipExpired(this, this.tail, now);
+
+    while (entry) {
+      output[i] = {
+        key: entry.key,
+        value: entry.value
+      };
+
+      if (withDate) {
+        output[i].created_at = (new Date(entry[CREATED_AT])).toLocaleString();
+      }
+
+      i++;
+
+      entry = skipExpired(this, entry[PREVIOUS], now);
+    }
+
+    // Expired entries were skipped
+    output.length = i;
+
+    return output;
+  };
+
+  /** Returns a String representation */
+  toString = (withDate = false) => {
+    var output = '';
+    var entry = this.tail;
+
+    while (entry) {
+
+      var entryString = String(entry.key) + ':' + entry.value;
+
+      if (withDate) {
+        var dateString = new Date(entry[CREATED_AT]).toLocaleString();
+        entryString += ' (' + dateString + ')';
+
+      }
+
+      output += entryString;
+
+      entry = entry[PREVIOUS];
+
+      if (entry) {
+        output += ' < ';
+      }
+    }
+
+    return output;
+  };
+
+  /**
+   * Returns a view of the cache for code that should read it but not change it.
+   * Reads through the view do not register recent use, renew the age of entries
+   * or remove expired ones, and the methods that would change the cache (set(),
+   * delete(), clear(), assign(), removeLRUItem() and the like) throw a TypeError.
+   * The view follows later changes made to the cache itself.
+   */
+  readonly = () => {
+    return readonlyView(this);
+  };
+
+}
+
+function createPolicy(cache, policy) {
+  if (policy === undefined || policy === 'lru') {
+    return undefined;
+  }
+
+  let Policy = typeof policy === 'function' ? policy :
+               Object.prototype.hasOwnProperty.call(policies, policy) ? policies[policy] : undefined;
+
+  if (!Policy) {
+    throw new TypeError('unknown policy: ' + policy);
+  }
+
+  return new Policy(cache);
+}
+
+// ----------------------------------------------------------------------------
+// Eviction policies. By default the cache evicts its least recently used entry
+// (the tail of the list). A policy can pick another victim instead; it is told
+// about every entry that enters, is used in or leaves the cache:
+//
+//   add(entry)    a new entry was set (once room has been made for it)
+//   touch(entry)  an entry was read or set again
+//   delete(entry) an entry was deleted, or has expired
+//   evict()       remove and return the entry to evict
+//   clear()       all entries were removed
+//   save()        (optional) return a copy of its bookkeeping
+//   restore(copy) (optional) go back to a copy made by save(), when a
+//                 transaction is rolled back. Without these two, the policy
+//                 is cleared and told about the entries again instead.
+//
+// The list keeps its recency order whatever the policy, so iteration, head and
+// tail work as before. Policies keep their own bookkeeping in Maps, whose
+// insertion order doubles as an LRU order (the first key is the oldest one).
+
+function moveToEnd(map, entry) {
+  map.delete(entry.key);
+  map.set(entry.key, entry);
+}
+
+function removeFirst(map) {
+  let entry = map.values().next().value;
+  map.delete(entry.key);
+  return entry;
+}
+
+function removeFirstKey(set) {
+  set.delete(set.values().next().value);
+}
+
+// The capacity that segmented policies are sized from
+function capacityOf(cache) {
+  return cache.limit || Math.max(cache.size, 1);
+}
+
+/** Least frequently used. Ties are broken by recency. */
+function LFUPolicy(cache) {
+  this.cache = cache;
+  this.counts = new Map();  // key -> number of uses
+  this.buckets = new Map(); // number of uses -> Map of entries, oldest first
+  this.minCount = 0;
+}
+LFUPolicy.prototype.add = function(entry) {
+  this.counts.set(entry.key, 1);
+  this._bucket(1).set(entry.key, entry);
+  this.minCount = 1;
+};
+LFUPolicy.prototype.touch = function(entry) {
+  let count = this.counts.get(entry.key);
+  this._unbucket(entry, count);
+  this.counts.set(entry.key, count + 1);
+  this._bucket(count + 1).set(entry.key, entry);
+};
+LFUPolicy.prototype.delete = function(entry) {
+  this._unbucket(entry, this.counts.get(entry.key));
+  this.counts.delete(entry.key);
+};
+LFUPolicy.prototype.evict = function() {
+  if (!this.buckets.has(this.minCount)) {
+    // The least used entries have been deleted
+    this.minCount = Math.min.apply(null, Array.from(this.buckets.keys()));
+  }
+  let bucket = this.buckets.get(this.minCount);
+  let entry = removeFirst(bucket);
+  this.counts.delete(entry.key);
+  if (!bucket.size) {
+    this.buckets.delete(this.minCount);
+  }
+  return entry;
+};
+LFUPolicy.prototype.clear = function() {
+  this.counts.clear();
+  this.buckets.clear();
+  this.minCount = 0;
+};
+LFUPolicy.prototype._bucket = function(count) {
+  let bucket = this.buckets.get(count);
+  if (!bucket) {
+    this.buckets.set(count, (bucket = new Map()));
+  }
+  return bucket;
+};
+LFUPolicy.prototype._unbucket = function(entry, count) {
+  let bucket = this.buckets.get(count);
+  bucket.delete(entry.key);
+  if (!bucket.size) {
+    this.buckets.delete(count);
+    if (this.minCount == count) {
+      this.minCount++;
+    }
+  }
+};
+
+/**
+ * Segmented LRU. New entries are put on probation, and promoted to the
+ * protected segment (80% of the capacity) when they are used again. Entries
+ * pushed out of the protected segment get another chance on probation.
+ */
+function SLRUPolicy(cache) {
+  this.cache = cache;
+  this.probation = new Map();
+  this.protected = new Map();
+}
+SLRUPolicy.prototype.add = function(entry) {
+  this.probation.set(entry.key, entry);
+};
+SLRUPolicy.prototype.touch = function(entry) {
+  if (this.protected.has(entry.key)) {
+    moveToEnd(this.protected, entry);
+    return;
+  }
+
+  this.probation.delete(entry.key);
+  this.protected.set(entry.key, entry);
+
+  if (this.protected.size > Math.ceil(capacityOf(this.cache) * 0.8)) {
+    let demoted = removeFirst(this.protected);
+    this.probation.set(demoted.key, demoted);
+  }
+};
+SLRUPolicy.prototype.delete = function(entry) {
+  this.probation.delete(entry.key) || this.protected.delete(entry.key);
+};
+SLRUPolicy.prototype.evict = function() {
+  return removeFirst(this.probation.size ? this.probation : this.protected);
+};
+SLRUPolicy.prototype.clear = function() {
+  this.probation.clear();
+  this.protected.clear();
+};
+
+/**
+ * 2Q. New entries go through a FIFO queue (25% of the capacity) and are only
+ * admitted to the main LRU queue when they are requested again after having
+ * been evicted from it, which the policy remembers for the keys of the last
+ * evicted entries (up to 50% of the capacity).
+ */
+function TwoQueuePolicy(cache) {
+  this.cache = cache;
+  this.in = new Map();   // A1in
+  this.out = new Set();  // A1out, keys only
+  this.main = new Map(); // Am
+}
+TwoQueuePolicy.prototype.add = function(entry) {
+  if (this.out.delete(entry.key)) {
+    this.main.set(entry.key, entry);
+  } else {
+    this.in.set(entry.key, entry);
+  }
+};
+TwoQueuePolicy.prototype.touch = function(entry) {
+  // Hits in the FIFO queue are ignored, as they tend to be correlated
+  if (this.main.has(entry.key)) {
+    moveToEnd(this.main, entry);
+  }
+};
+TwoQueuePolicy.prototype.delete = function(entry) {
+  this.in.delete(entry.key) || this.main.delete(entry.key);
+};
+TwoQueuePolicy.prototype.evict = function() {
+  let capacity = capacityOf(this.cache);
+
+  if (this.main.size && this.in.size <= Math.max(1, Math.floor(capacity / 4))) {
+    return removeFirst(this.main);
+  }
+
+  let entry = removeFirst(this.in);
+
+  this.out.add(entry.key);
+  if (this.out.size > Math.max(1, Math.floor(capacity / 2))) {
+    removeFirstKey(this.out);
+  }
+
+  return entry;
+};
+TwoQueuePolicy.prototype.clear = function() {
+  this.in.clear();
+  this.out.clear();
+  this.main.clear();
+};
+
+/**
+ * Adaptive Replacement Cache. Entries seen once (t1) and entries seen at least
+ * twice (t2) are kept apart, and the keys of entries evicted from either are
+ * remembered (b1 and b2). Requests for those keys move the target size of t1
+ * towards the side that would have kept them.
+ */
+function ARCPolicy(cache) {
+  this.cache = cache;
+  this.t1 = new Map();
+  this.t2 = new Map();
+  this.b1 = new Set();
+  this.b2 = new Set();
+  this.p = 0; // target size of t1
+}
+ARCPolicy.prototype.add = function(entry) {
+  let key = entry.key;
+  let capacity = capacityOf(this.cache);
+
+  if (this.b1.delete(key)) {
+    this.p = Math.min(capacity, this.p + Math.max(this.b2.size / (this.b1.size + 1), 1));
+    this.t2.set(key, entry);
+  } else if (this.b2.delete(key)) {
+    this.p = Math.max(0, this.p - Math.max(this.b1.size / (this.b2.size + 1), 1));
+    this.t2.set(key, entry);
+  } else {
+    // Keep the history within the capacity
+    if (this.t1.size + this.b1.size >= capacity && this.b1.size) {
+      removeFirstKey(this.b1);
+    } else if (this.t1.size + this.t2.size + this.b1.size + this.b2.size >= 2 * capacity && this.b2.size) {
+      removeFirstKey(this.b2);
+    }
+    this.t1.set(key, entry);
+  }
+};
+ARCPolicy.prototype.touch = function(entry) {
+  if (!this.t1.delete(entry.key)) {
+    this.t2.delete(entry.key);
+  }
+  this.t2.set(entry.key, entry);
+};
+ARCPolicy.prototype.delete = function(entry) {
+  this.t1.delete(entry.key) || this.t2.delete(entry.key);
+};
+ARCPolicy.prototype.evict = function() {
+  let entry;
+
+  if (this.t1.size && (this.t1.size > this.p || !this.t2.size)) {
+    entry = removeFirst(this.t1);
+    this.b1.add(entry.key);
+  } else {
+    entry = removeFirst(this.t2);
+    this.b2.add(entry.key);
+  }
+
+  return entry;
+};
+ARCPolicy.prototype.clear = function() {
+  this.t1.clear();
+  this.t2.clear();
+  this.b1.clear();
+  this.b2.clear();
+  this.p = 0;
+};
+
+// The built-in policies keep their bookkeeping in fields holding Maps, Sets
+// and numbers, which save() copies
+function savePolicy() {
+  let saved = {};
+
+  Object.keys(this).forEach(name => {
+    if (name !== 'cache') {
+      saved[name] = copyField(this[name]);
+    }
+  });
+
+  return saved;
+}
+
+function restorePolicy(saved) {
+  Object.assign(this, saved);
+}
+
+// Copies Maps (including the Maps held in a Map, such as the LFU buckets) and
+// Sets, but not the entries they hold
+function copyField(value) {
+  if (value instanceof Map) {
+    return new Map(Array.from(value, pair => [pair[0], copyField(pair[1])]));
+  }
+  return value instanceof Set ? new Set(value) : value;
+}
+
+[LFUPolicy, SLRUPolicy, TwoQueuePolicy, ARCPolicy].forEach(Policy => {
+  Policy.prototype.save = savePolicy;
+  Policy.prototype.restore = restorePolicy;
+});
+
+const policies = {
+  lfu  : LFUPolicy,
+  slru : SLRUPolicy,
+  '2q' : TwoQueuePolicy,
+  arc  : ARCPolicy
+};
+
+/**
+ * A count-min sketch estimating how often keys have been used, in a fixed
+ * amount of memory: four rows of small saturating counters, about four bytes
+ * per entry of the cache. All counters are halved once enough uses have been
+ * recorded, so that the estimates follow changes in popularity.
+ */
+function CountMinSketch(capacity) {
+  let width = 16;
+  while (width < capacity) {
+    width *= 2;
+  }
+  this.mask = width - 1;
+  this.counters = new Uint8Array(width * 4);
+  this.additions = 0;
+  this.sampleSize = width * 10;
+}
+CountMinSketch.prototype.increment = function(key) {
+  let h = hashKey(key);
+  let added = false;
+
+  for (let row = 0; row < 4; row++) {
+    let i = row * (this.mask + 1) + (rehash(h, row) & this.mask);
+    if (this.counters[i] < 15) {
+      this.counters[i]++;
+      added = true;
+    }
+  }
+
+  if (added && ++this.additions >= this.sampleSize) {
+    this._age();
+  }
+};
+CountMinSketch.prototype.frequency = function(key) {
+  let h = hashKey(key);
+  let min = 15;
+
+  for (let row = 0; row < 4; row++) {
+    min = Math.min(min, this.counters[row * (this.mask + 1) + (rehash(h, row) & this.mask)]);
+  }
+
+  return min;
+};
+CountMinSketch.prototype.save = function() {
+  return { counters: this.counters.slice(), additions: this.additions };
+};
+CountMinSketch.prototype.restore = function(saved) {
+  this.counters.set(saved.counters);
+  this.additions = saved.additions;
+};
+CountMinSketch.prototype._age = function() {
+  for (let i = 0; i < this.counters.length; i++) {
+    this.counters[i] >>= 1;
+  }
+  this.additions = Math.floor(this.additions / 2);
+};
+
+let objectIds = new WeakMap();
+let nextObjectId = 0;
+
+// A 32-bit FNV-1a hash of the key. Objects are told apart by identity.
+function hashKey(key) {
+  let s;
+
+  if (typeof key === 'string') {
+    s = key;
+  } else if ((typeof key === 'object' && key !== null) || typeof key === 'function') {
+    let id = objectIds.get(key);
+    if (id === undefined) {
+      objectIds.set(key, (id = ++nextObjectId));
     }
+    s = '\0' + id;
+  } else {
+    s = typeof key + String(key);
+  }
+
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h = Math.imul(h ^ s.charCodeAt(i), 0x01000193);
+  }
+  return h;
+}
+
+// Derives an independent hash for each row of the sketch
+function rehash(h, row) {
+  h = Math.imul(h ^ (h >>> 16) ^ (row * 0x9e3779b9), 0x85ebca6b);
+  return (h ^ (h >>> 13)) >>> 0;
+}
+
+const SNAPSHOT_VERSION = 1;
+
+function identity(x) {
+  return x;
+}
+
+const EVENTS = new Set(['set', 'hit', 'miss', 'evict', 'expire', 'delete', 'clear']);
+
+function newStats() {
+  return {
+    hits        : 0,
+    misses      : 0,
+    sets        : 0,
+    overwrites  : 0,
+    evictions   : 0,
+    expirations : 0,
+    deletes     : 0,
+    rejections  : 0
   };
+}
 
-  /** Returns a JSON (array) representation */
-  toJSON = (withDate = false) => {
-    var output = new Array(this.size);
-    var i = 0;
-    var entry = this.tail;
+function validTags(tags) {
+  if (!Array.isArray(tags)) {
+    throw new TypeError('tags must be an array');
+  }
+  return tags.slice();
+}
 
-    while (entry) {
-      output[i] = {
-        key: entry.key,
-        value: entry.value
-      };
+function validTTL(ttl) {
+  if (typeof ttl !== 'number' || !(ttl >= 0)) {
+    throw new TypeError('ttl must be a non-negative number of milliseconds');
+  }
+  return ttl;
+}
 
-      if (withDate) {
-        output[i].created_at = (new Date(entry[CREATED_AT])).toLocaleString();
-      }
+// Returns a function reading the time (in milliseconds) from the clock option
+function clockOf(clock) {
+  if (clock === undefined) {
+    return wallClock;
+  }
 
-      i++;
+  if (clock === 'monotonic') {
+    if (typeof performance === 'undefined' || typeof performance.now !== 'function') {
+      throw new TypeError('the monotonic clock requires performance.now()');
+    }
+    return monotonicClock;
+  }
 
-      entry = entry[PREVIOUS];
+  if (typeof clock === 'function') {
+    return clock;
+  }
+
+  if (clock && typeof clock.now === 'function') {
+    return () => clock.now();
+  }
+
+  throw new TypeError("clock must be a function, an object with a now() method or 'monotonic'");
+}
+
+function wallClock() {
+  return new Date().getTime();
+}
+
+// Counting from the time origin keeps the timestamps comparable with those of
+// Date, e.g. in snapshots
+function monotonicClock() {
+  return performance.timeOrigin + performance.now();
+}
+
+// Purges <cache> every <interval> milliseconds. The timer only holds a weak
+// reference to the cache, and stops once the cache has been collected. Where
+// WeakRef is missing, it keeps the cache alive until stopPurging() is called.
+function startPurging(cache, interval) {
+  let ref = typeof WeakRef == 'function' ? new WeakRef(cache) : undefined;
+  let strong = ref ? undefined : cache;
+
+  let timer = setInterval(() => {
+    let target = ref ? ref.deref() : strong;
+
+    if (target) {
+      target.purgeStale();
+    } else {
+      clearInterval(timer);
     }
+  }, interval);
 
-    return output;
+  // Do not keep a Node.js process alive just to purge the cache
+  if (timer.unref) {
+    timer.unref();
+  }
+
+  return timer;
+}
+
+// Returns a promise for the result of <fetching> that rejects when <signal> is
+// aborted. The request itself is aborted once every caller has given up on it.
+function waitForFetch(fetching, signal) {
+  fetching.waiting++;
+
+  if (!signal) {
+    return fetching.promise;
+  }
+
+  if (signal.aborted) {
+    giveUpFetch(fetching);
+    return Promise.reject(abortReason(signal));
+  }
+
+  return new Promise((resolve, reject) => {
+    let onAbort = () => {
+      giveUpFetch(fetching);
+      reject(abortReason(signal));
+    };
+
+    signal.addEventListener('abort', onAbort);
+
+    fetching.promise.then(resolve, reject).then(() => {
+      signal.removeEventListener('abort', onAbort);
+    });
+  });
+}
+
+function giveUpFetch(fetching) {
+  if (--fetching.waiting == 0) {
+    fetching.abort();
+  }
+}
+
+function abortReason(signal) {
+  if (signal.reason !== undefined) {
+    return signal.reason;
+  }
+
+  let err = new Error('This operation was aborted');
+  err.name = 'AbortError';
+  return err;
+}
+
+// Returns <entry> or the first entry after it that has not expired, following
+// <direction>: PREVIOUS leads to newer entries, NEXT to older ones
+function skipExpired(cache, entry, now, direction = PREVIOUS) {
+  while (entry && cache._isExpired(entry, now)) {
+    entry = entry[direction];
+  }
+  return entry;
+}
+
+// Walking a cache that has been modified could skip entries or visit them twice
+function checkUnmodified(cache, version) {
+  if (cache._version !== version) {
+    throw new Error('the cache was modified during iteration');
+  }
+}
+
+function entryView(entry) {
+  return entry && Object.freeze({ key: entry.key, value: entry.value });
+}
+
+// Methods of a read-only view that would change the cache
+const MUTATORS = ['set', 'delete', 'clear', 'assign', 'removeLRUItem', 'purgeStale', 'load', 'invalidateTag', 'deleteWhere'];
+
+// Properties of the cache readable through a read-only view
+const READABLE = ['size', 'limit', 'maxSize', 'calculatedSize', 'lifetime', 'oldest', 'newest'];
+
+function readonlyView(cache) {
+  let view = {
+    // Unlike has() on the cache, does not remove an expired entry
+    has: (key) => {
+      let entry = cache._keymap.get(key);
+      return !!entry && !cache._isExpired(entry, cache._now());
+    },
+    find: (key) => cache.find(key),
+    peek: (key) => cache.peek(key),
+    getRemainingTTL: (key) => cache.getRemainingTTL(key),
+    keys: () => readonlyIterator(cache.keys()),
+    values: () => readonlyIterator(cache.values()),
+    entries: () => readonlyIterator(cache[Symbol.iterator]()),
+    rkeys: () => readonlyIterator(cache.rkeys()),
+    rvalues: () => readonlyIterator(cache.rvalues()),
+    rentries: () => readonlyIterator(cache.rentries()),
+    slice: (start, end) => cache.slice(start, end),
+    forEach: (fun, thisObj) => {
+      cache.forEach(function(value, key) {
+        fun.call(this, value, key, view);
+      }, typeof thisObj === 'object' ? thisObj : view);
+    },
+    toJSON: (withDate) => cache.toJSON(withDate),
+    toString: (withDate) => cache.toString(withDate),
+    [Symbol.iterator]: () => readonlyIterator(cache[Symbol.iterator]()),
   };
 
-  /** Returns a String representation */
-  toString = (withDate = false) => {
-    var output = '';
-    var entry = this.tail;
+  READABLE.forEach(name => {
+    Object.defineProperty(view, name, { get: () => cache[name], enumerable: true });
+  });
 
-    while (entry) {
+  MUTATORS.forEach(name => {
+    view[name] = () => {
+      throw new TypeError('the cache is read-only');
+    };
+  });
 
-      var entryString = String(entry.key) + ':' + entry.value;
+  return Object.freeze(view);
+}
 
-      if (withDate) {
-        var dateString = new Date(entry[CREATED_AT]).toLocaleString();
-        entryString += ' (' + dateString + ')';
+// Iterators of the cache give access to it, so the view only hands out their
+// next() method
+function readonlyIterator(iterator) {
+  return {
+    next: () => iterator.next(),
+    [Symbol.iterator]() { return this; },
+  };
+}
 
-      }
+// The entries of <cache> from the least recently used one, with the fields a
+// transaction may change
+function saveEntries(cache) {
+  let saved = [];
 
-      output += entryString;
+  for (let entry = cache.tail; entry; entry = entry[PREVIOUS]) {
+    saved.push([entry, entry.value, entry[SIZE], entry[TTL], entry[CREATED_AT], entry[TAGS], entry[USED_AT], entry[CLEAN]]);
+  }
+  return saved;
+}
 
-      entry = entry[PREVIOUS];
+// Puts back the entries saved when <transaction> started, dropping its side
+// effects
+function restoreEntries(cache, transaction) {
+  let older;
+
+  cache.tail = cache.head = undefined;
+  cache.size = 0;
+  cache.calculatedSize = 0;
+  cache._version++;
+  cache._keymap.clear();
+  cache._tags = undefined;
+
+  for (let i = 0; i < transaction.saved.length; i++) {
+    let item = transaction.saved[i];
+    let entry = item[0];
+
+    entry.value = item[1];
+    entry[SIZE] = item[2];
+    entry[TTL] = item[3];
+    entry[CREATED_AT] = item[4];
+    entry[TAGS] = undefined;
+    entry[USED_AT] = item[6];
+    entry[CLEAN] = item[7];
+
+    if (item[5]) {
+      cache._tag(entry, item[5]);
+    }
 
-      if (entry) {
-        output += ' < ';
-      }
+    entry[NEXT] = older;
+    entry[PREVIOUS] = undefined;
+    if (older) {
+      older[PREVIOUS] = entry;
+    } else {
+      cache.tail = entry;
     }
+    older = cache.head = entry;
 
-    return output;
-  };
+    cache._keymap.set(entry.key, entry);
+    cache.size++;
+    cache.calculatedSize += entry[SIZE];
+  }
+
+  if (transaction.policy) {
+    cache._policy.restore(transaction.policy);
+  } else if (cache._policy) {
+    cache._resetPolicy();
+  }
+
+  if (transaction.sketch) {
+    cache._sketch.restore(transaction.sketch);
+  }
+
+  // Fetches started by the transaction no longer fill the cache, and those it
+  // dropped do again
+  cache._inflight.clear();
+  transaction.inflight.forEach((fetching, key) => cache._inflight.set(key, fetching));
+
+  if (transaction.stats) {
+    Object.assign(cache._stats, transaction.stats);
+  }
 
+  transaction.effects.length = transaction.start;
 }
 
-function EntryIterator(oldestEntry) { this.entry = oldestEntry; }
+function EntryIterator(firstEntry, cache, direction = PREVIOUS) {
+  this.entry = firstEntry;
+  this.cache = cache;
+  this.direction = direction;
+  this.version = cache._version;
+  this.now = cache._now();
+}
 EntryIterator.prototype[Symbol.iterator] = function () { return this; }
 EntryIterator.prototype.next = function () {
-  let ent = this.entry;
+  if (this.entry) {
+    checkUnmodified(this.cache, this.version);
+  }
+  let ent = this.entry = skipExpired(this.cache, this.entry, this.now, this.direction);
   if (ent) {
-    this.entry = ent[PREVIOUS];
+    this.entry = ent[this.direction];
     return { done: false, value: [ent.key, ent.value] };
   } else {
     return { done: true, value: undefined };
@@ -369,31 +2482,369 @@ EntryIterator.prototype.next = function () {
 };
 
 
-function KeyIterator(oldestEntry) { this.entry = oldestEntry; }
+function KeyIterator(firstEntry, cache, direction = PREVIOUS) {
+  this.entry = firstEntry;
+  this.cache = cache;
+  this.direction = direction;
+  this.version = cache._version;
+  this.now = cache._now();
+}
 KeyIterator.prototype[Symbol.iterator] = function () { return this; }
 KeyIterator.prototype.next = function () {
-  let ent = this.entry;
+  if (this.entry) {
+    checkUnmodified(this.cache, this.version);
+  }
+  let ent = this.entry = skipExpired(this.cache, this.entry, this.now, this.direction);
   if (ent) {
-    this.entry = ent[PREVIOUS];
+    this.entry = ent[this.direction];
     return { done: false, value: ent.key };
   } else {
     return { done: true, value: undefined };
   }
 };
 
-function ValueIterator(oldestEntry) { this.entry = oldestEntry; }
+function ValueIterator(firstEntry, cache, direction = PREVIOUS) {
+  this.entry = firstEntry;
+  this.cache = cache;
+  this.direction = direction;
+  this.version = cache._version;
+  this.now = cache._now();
+}
 ValueIterator.prototype[Symbol.iterator] = function () { return this; }
 ValueIterator.prototype.next = function () {
-  let ent = this.entry;
+  if (this.entry) {
+    checkUnmodified(this.cache, this.version);
+  }
+  let ent = this.entry = skipExpired(this.cache, this.entry, this.now, this.direction);
   if (ent) {
-    this.entry = ent[PREVIOUS];
+    this.entry = ent[this.direction];
     return { done: false, value: ent.value };
   } else {
     return { done: true, value: undefined };
   }
 };
 
+/**
+ * A pool of named caches sharing one budget of entries (limit) and/or of
+ * total size (maxSize). When the pool is over budget, the least recently used
+ * entry across all caches is evicted, except from caches holding no more than
+ * their minimum quota. Each cache is a full LRUCache, and clearing it leaves
+ * the other caches alone.
+ *
+ * @param {Object} options - limit: the maximum number of entries of all caches together.
+ *                         - maxSize: the maximum total size of the entries of all caches.
+ *                         - sizeCalculation: the default sizeCalculation of the caches.
+ */
+function CachePool(options) {
+  options = options || {};
+
+  if (options.limit !== undefined && !(options.limit >= 0)) {
+    throw new TypeError('limit must be a non-negative number');
+  }
+
+  if (options.maxSize !== undefined && !(options.maxSize >= 0)) {
+    throw new TypeError('maxSize must be a non-negative number');
+  }
+
+  this.limit = options.limit || 0;
+  this.maxSize = options.maxSize || 0;
+  this.sizeCalculation = options.sizeCalculation;
+  this._partitions = new Map(); // name -> { cache, min }
+  this._tick = 0;
+}
+
+/** The number of entries of all caches together */
+Object.defineProperty(CachePool.prototype, 'size', {
+  get: function() {
+    let size = 0;
+    this._partitions.forEach(partition => { size += partition.cache.size; });
+    return size;
+  }
+});
+
+/** The total size of the entries of all caches together */
+Object.defineProperty(CachePool.prototype, 'calculatedSize', {
+  get: function() {
+    let size = 0;
+    this._partitions.forEach(partition => { size += partition.cache.calculatedSize; });
+    return size;
+  }
+});
+
+/**
+ * Returns the cache called <name>, creating it on first use. Besides the
+ * LRUCache options, <options> may hold the quotas of the cache:
+ *   - min: this many entries are never evicted to make room in other caches
+ *   - max: the cache never holds more entries than this
+ */
+CachePool.prototype.cache = function(name, options) {
+  let partition = this._partitions.get(name);
+
+  if (partition) {
+    return partition.cache;
+  }
+
+  options = Object.assign({}, options);
+
+  let min = options.min || 0, max = options.max || 0;
+
+  if (!(min >= 0) || !(max >= 0) || (max && min > max)) {
+    throw new TypeError('quotas must be non-negative numbers, with min <= max');
+  }
+
+  let reserved = min;
+  this._partitions.forEach(partition => { reserved += partition.min; });
+
+  if (this.limit && reserved > this.limit) {
+    throw new TypeError('the min quotas exceed the limit of the pool');
+  }
+
+  if (this.maxSize) {
+    options.maxSize = Math.min(options.maxSize || this.maxSize, this.maxSize);
+    options.sizeCalculation = options.sizeCalculation || this.sizeCalculation;
+  }
+
+  delete options.min;
+  delete options.max;
+
+  let cache = new LRUCache(0, max, options);
+  cache._pool = this;
+  this._partitions.set(name, { cache: cache, min: min });
+
+  return cache;
+};
+
+/** Returns the names of the caches, in order of creation */
+CachePool.prototype.names = function() {
+  return Array.from(this._partitions.keys());
+};
+
+/** Clears the cache called <name> and removes it from the pool */
+CachePool.prototype['delete'] = function(name) {
+  let partition = this._partitions.get(name);
+
+  if (!partition) {
+    return false;
+  }
+
+  partition.cache.clear();
+  partition.cache._pool = undefined;
+  this._partitions.delete(name);
+
+  return true;
+};
+
+/** Clears all caches */
+CachePool.prototype.clear = function() {
+  this._partitions.forEach(partition => partition.cache.clear());
+};
+
+CachePool.prototype._evictToFit = function() {
+  while ((this.limit && this.size > this.limit) || (this.maxSize && this.calculatedSize > this.maxSize)) {
+    // The cache whose least recently used entry is the oldest one of the pool
+    let victim;
+
+    this._partitions.forEach(partition => {
+      let cache = partition.cache;
+
+      if (cache.size > partition.min && (!victim || (cache.tail[USED_AT] || 0) < (victim.tail[USED_AT] || 0))) {
+        victim = cache;
+      }
+    });
+
+    // Every cache is within its minimum quota
+    if (!victim) {
+      return;
+    }
+
+    victim.removeLRUItem();
+  }
+};
+
+/**
+ * Returns a function calling <fn> only for arguments it has not seen recently,
+ * and otherwise returning the result of the earlier call, kept in an LRUCache.
+ * Promises are cached too, and removed from the cache if they reject.
+ *
+ * @param {Function} fn    The function to memoize.
+ * @param {Object} options (optional) The LRUCache options, and:
+ *                         - limit: the maximum number of results to keep. Zero (the default)
+ *                           means no limit.
+ *                         - lifetime: how long (in minutes) a result is kept. Zero (the
+ *                           default) means forever.
+ *                         - keyResolver: function(...args) returning the cache key for the
+ *                           arguments of a call. By default, a single number, boolean, null
+ *                           or undefined argument is the key itself, and other arguments are
+ *                           encoded into a string, with the properties of objects sorted.
+ * @return {Function} The memoized function, with these properties:
+ *                    - cache: the LRUCache holding the results.
+ *                    - clear(): forgets all results.
+ *                    - delete(...args): forgets the result for these arguments. Returns
+ *                      false if there was none.
+ */
+function memoize(fn, options) {
+  if (typeof fn !== 'function') {
+    throw new TypeError('fn must be a function');
+  }
+
+  options = options || {};
+
+  if (options.keyResolver !== undefined && typeof options.keyResolver !== 'function') {
+    throw new TypeError('keyResolver must be a function');
+  }
+
+  let keyResolver = options.keyResolver || argumentsKey;
+  let cache = new LRUCache(options.lifetime || 0, options.limit || 0, options);
+
+  let memoized = function() {
+    let key = keyResolver.apply(this, arguments);
+
+    if (cache.has(key)) {
+      return cache.get(key);
+    }
+
+    let result = fn.apply(this, arguments);
+
+    cache.set(key, result);
+
+    if (result && typeof result.then === 'function') {
+      // Let the next call try again, unless the promise has been replaced
+      result.then(undefined, () => {
+        if (cache.find(key) === result) {
+          cache.delete(key);
+        }
+      });
+    }
+
+    return result;
+  };
+
+  memoized.cache = cache;
+
+  memoized.clear = function() {
+    cache.clear();
+  };
+
+  memoized['delete'] = function() {
+    let key = keyResolver.apply(this, arguments);
+
+    if (!cache.has(key)) {
+      return false;
+    }
+
+    cache.delete(key);
+    return true;
+  };
+
+  return memoized;
+}
+
+// The default keyResolver of memoize()
+function argumentsKey() {
+  if (arguments.length == 1) {
+    let type = typeof arguments[0];
+    if (type == 'number' || type == 'boolean' || arguments[0] == null) {
+      return arguments[0];
+    }
+  }
+  return stableKey(Array.prototype.slice.call(arguments), []);
+}
+
+// Encodes <value> into a string that only depends on its contents: objects
+// with the same properties get the same key, in whatever order the properties
+// were added. <parents> holds the objects being encoded, to detect cycles.
+function stableKey(value, parents) {
+  switch (typeof value) {
+    case 'string':
+      return JSON.stringify(value);
+    case 'bigint':
+      return value + 'n';
+    case 'function':
+    case 'symbol':
+      return objectId(value);
+    case 'object':
+      break;
+    default:
+      return String(value); // number, boolean or undefined
+  }
+
+  if (value === null) {
+    return 'null';
+  }
+
+  if (parents.indexOf(value) != -1) {
+    throw new TypeError('cannot derive a key from a circular structure');
+  }
+
+  if (value instanceof Date) {
+    return 'Date(' + value.getTime() + ')';
+  }
+
+  parents.push(value);
+
+  let key;
+
+  if (Array.isArray(value)) {
+    key = '[' + value.map(item => stableKey(item, parents)).join(',') + ']';
+  } else if (value instanceof Map || value instanceof Set) {
+    let items = Array.from(value, item => stableKey(item, parents));
+    key = (value instanceof Map ? 'Map' : 'Set') + '(' + items.join(',') + ')';
+  } else {
+    let names = Object.keys(value).sort();
+    key = '{' + names.map(name => JSON.stringify(name) + ':' + stableKey(value[name], parents)).join(',') + '}';
+  }
+
+  parents.pop();
+  return key;
+}
+
+// Functions and symbols are told apart by identity. Symbols are not allowed
+// as WeakMap keys everywhere, but are seldom created on the fly.
+const functionIds = new WeakMap();
+const symbolIds = new Map();
+let lastObjectId = 0;
+
+function objectId(value) {
+  let ids = typeof value == 'function' ? functionIds : symbolIds;
+  let id = ids.get(value);
+
+  if (id === undefined) {
+    id = '#' + (++lastObjectId);
+    ids.set(value, id);
+  }
+  return id;
+}
+
+/**
+ * A clock for tests, which only moves when told to. Passed as the clock option,
+ * it makes expiry deterministic:
+ *
+ *   let clock = new FakeClock();
+ *   let c = new LRUCache(1, 10, { clock: clock });
+ *   c.set('a', 1);
+ *   clock.advance(60000);  // 'a' is exactly a minute old: still valid
+ *   clock.advance(1);      // 'a' has now expired
+ *
+ * @param {number} time (optional) The time to start at, in milliseconds. Defaults to
+ *                      the current time.
+ */
+function FakeClock(time) {
+  this.time = time === undefined ? new Date().getTime() : time;
+}
+
+/** Returns the current time of the clock */
+FakeClock.prototype.now = function() {
+  return this.time;
+};
+
+/** Moves the clock forward by <ms> milliseconds, and returns the new time */
+FakeClock.prototype.advance = function(ms) {
+  this.time += ms;
+  return this.time;
+};
+
 export default LRUCache;
+export { LRUCache, NotFoundError, OverflowError, policies, CachePool, memoize, FakeClock };
 
 
 
@@ -0,0 +1,78 @@
+import { LRUCache, DumpOptions, LoadOptions } from './lru';
+
+// Settings shared by `StoragePersistence` and `IndexedDBPersistence`, plus
+// those of `dump` and `load` for keys and values that cannot be stored as is.
+export interface PersistenceOptions<K,V> extends DumpOptions<K,V>, LoadOptions<K,V> {
+  // How long (in milliseconds) to wait after a change before writing the
+  // snapshot, so that a burst of changes is written once. Defaults to 100.
+  delay? :number;
+
+  // Called when a snapshot cannot be read or written. Without it, errors are
+  // ignored, except those of `flush`.
+  onError? :(error :any) => void;
+}
+
+// Settings accepted by the `StoragePersistence` constructor.
+export interface StoragePersistenceOptions<K,V> extends PersistenceOptions<K,V> {
+  // The storage to use. Defaults to localStorage.
+  storage? :Storage;
+
+  // The item of the storage holding the snapshot. Defaults to 'lru'.
+  key? :string;
+}
+
+// Keeps the contents of a cache in a Storage (e.g. localStorage), loading them
+// right away. When the storage is full, the least recently used entries are
+// evicted from the cache until the snapshot fits.
+export class StoragePersistence<K,V> {
+  constructor(cache :LRUCache<K,V>, options? :StoragePersistenceOptions<K,V>);
+
+  cache :LRUCache<K,V>;
+  storage :Storage;
+  key :string;
+  delay :number;
+
+  // Resolved, as the contents are loaded by the constructor.
+  ready :Promise<void>;
+
+  // Write the snapshot now. Throws if it cannot be written.
+  flush() : void;
+
+  // Write pending changes and stop following the cache.
+  close() : void;
+}
+
+// Settings accepted by the `IndexedDBPersistence` constructor.
+export interface IndexedDBPersistenceOptions<K,V> extends PersistenceOptions<K,V> {
+  // The name of the database. Defaults to 'lru'.
+  name? :string;
+
+  // The key of the snapshot in the database. Defaults to 'lru'.
+  key? :string;
+
+  // The IDBFactory to use. Defaults to indexedDB.
+  indexedDB? :IDBFactory;
+}
+
+// Keeps the contents of a cache in an IndexedDB database. When the database
+// is full, the least recently used entries are evicted from the cache until
+// the snapshot fits.
+export class IndexedDBPersistence<K,V> {
+  constructor(cache :LRUCache<K,V>, options? :IndexedDBPersistenceOptions<K,V>);
+
+  cache :LRUCache<K,V>;
+  name :string;
+  key :string;
+  delay :number;
+
+  // Resolves once the stored contents are in the cache. Entries set before are
+  // kept as the most recently used ones.
+  ready :Promise<void>;
+
+  // Write the snapshot now. Resolves once it has been written, or right away if
+  // the database could not be opened, in which case the cache is not followed.
+  flush() : Promise<void>;
+
+  // Write pending changes, stop following the cache and close the database.
+  close() : Promise<void>;
+}
@@ -0,0 +1,357 @@
+/**
+ * Keeps the contents of an LRUCache in browser storage, so that they survive
+ * page reloads. A snapshot of the cache (see dump() in lru.js) is written a
+ * moment after it changes, and loaded back when the page starts again, with
+ * the entries in the same order and their lifetime counted from when they
+ * were first set:
+ *
+ *   StoragePersistence    localStorage, sessionStorage or any other Storage
+ *   IndexedDBPersistence  one record of an IndexedDB object store
+ *
+ * When the storage is full, the least recently used entries are evicted from
+ * the cache until the snapshot fits.
+ *
+ * Licensed under MIT. See README.md for details.
+ */
+(function(g,f){
+  const e = typeof exports == 'object' ? exports : typeof g == 'object' ? g : {};
+  f(e);
+  if (typeof define == 'function' && define.amd) { define('lru-persist', e); }
+})(this, function(exports) {
+
+// Events of the cache after which a snapshot is written. Hits change the
+// order of the entries.
+const CHANGES = ['set', 'hit', 'evict', 'expire', 'delete', 'clear'];
+
+// The IndexedDB object store holding the snapshots
+const STORE = 'snapshots';
+
+/**
+ * Keeps the contents of <cache> in a Storage, loading them right away.
+ *
+ * @param {LRUCache} cache The cache to persist.
+ * @param {Object} options (optional) Additional settings:
+ *                         - storage: the Storage to use. Defaults to localStorage.
+ *                         - key: the item of the storage holding the snapshot. Defaults to 'lru'.
+ *                         - delay: how long (in milliseconds) to wait after a change before
+ *                           writing the snapshot, so that a burst of changes is written once.
+ *                           Defaults to 100.
+ *                         - onError: function(error) called when a snapshot cannot be read or
+ *                           written. Without it, errors are ignored, except those of flush().
+ *                         - serializeKey, serializeValue, deserializeKey, deserializeValue:
+ *                           as for dump() and load(), for keys and values that do not survive
+ *                           JSON encoding.
+ */
+function StoragePersistence(cache, options) {
+  options = options || {};
+  this.cache = cache;
+  this.storage = options.storage || (typeof localStorage != 'undefined' ? localStorage : undefined);
+  this.key = options.key || 'lru';
+
+  if (!this.storage) {
+    throw new TypeError('no storage available');
+  }
+
+  init(this, options);
+
+  let snapshot;
+  try {
+    let json = this.storage.getItem(this.key);
+    snapshot = json ? JSON.parse(json) : undefined;
+  } catch (err) {
+    this._report(err);
+  }
+  restore(this, snapshot);
+
+  this.ready = Promise.resolve();
+}
+
+exports.StoragePersistence = StoragePersistence;
+
+/**
+ * Writes the snapshot now, evicting entries from the cache if it does not fit.
+ * Throws if the snapshot cannot be written.
+ */
+StoragePersistence.prototype.flush = function() {
+  cancel(this);
+
+  for (;;) {
+    try {
+      this.storage.setItem(this.key, JSON.stringify(this.cache.dump(this._options)));
+      return;
+    } catch (err) {
+      if (!isQuotaExceeded(err) || !this.cache.size) {
+        throw err;
+      }
+      evictSome(this);
+    }
+  }
+};
+
+/**
+ * Writes pending changes and stops following the cache.
+ */
+StoragePersistence.prototype.close = function() {
+  if (this._timer !== undefined) {
+    this.flush();
+  }
+  detach(this);
+};
+
+StoragePersistence.prototype._write = function() {
+  try {
+    this.flush();
+  } catch (err) {
+    this._report(err);
+  }
+};
+
+StoragePersistence.prototype._report = report;
+
+/**
+ * Keeps the contents of <cache> in an IndexedDB database. Loading them is
+ * asynchronous: `ready` resolves once they are in the cache. Entries set
+ * before are kept as the most recently used ones.
+ *
+ * @param {LRUCache} cache The cache to persist.
+ * @param {Object} options (optional) Additional settings:
+ *                         - name: the name of the database. Defaults to 'lru'.
+ *                         - key: the key of the snapshot in the database. Defaults to 'lru'.
+ *                         - indexedDB: the IDBFactory to use. Defaults to indexedDB.
+ *                         - delay, onError and the (de)serialize functions, as for
+ *                           StoragePersistence. Values need not survive JSON encoding, only
+ *                           structured cloning.
+ */
+function IndexedDBPersistence(cache, options) {
+  options = options || {};
+  this.cache = cache;
+  this.indexedDB = options.indexedDB || (typeof indexedDB != 'undefined' ? indexedDB : undefined);
+  this.name = options.name || 'lru';
+  this.key = options.key || 'lru';
+
+  if (!this.indexedDB) {
+    throw new TypeError('no indexedDB available');
+  }
+
+  init(this, options);
+
+  // Changes made while loading, which the stored snapshot must not undo
+  this._deleted = new Set();
+  this._cleared = false;
+  this._loading = true;
+
+  this._db = undefined;
+  this._writing = Promise.resolve();
+
+  this.ready = this._open().then(db => {
+    this._db = db;
+    return request(db.transaction(STORE).objectStore(STORE).get(this.key));
+  }).then(snapshot => snapshot, err => this._report(err)).then(snapshot => {
+    this._loading = false;
+    restore(this, this._cleared ? undefined : snapshot);
+    this._deleted.clear();
+
+    // There is nowhere to write the changes
+    if (!this._db) {
+      detach(this);
+    }
+  });
+}
+
+exports.IndexedDBPersistence = IndexedDBPersistence;
+
+/**
+ * Writes the snapshot now, evicting entries from the cache if it does not fit.
+ * Resolves once it has been written, or right away if the database could not
+ * be opened.
+ */
+IndexedDBPersistence.prototype.flush = function() {
+  cancel(this);
+
+  // Writes are made one at a time, each with the latest contents
+  let write = this._writing.then(() => this.ready).then(() => this._put());
+  this._writing = write.catch(() => {});
+  return write;
+};
+
+/**
+ * Writes pending changes, stops following the cache and closes the database.
+ */
+IndexedDBPersistence.prototype.close = function() {
+  let written = this._timer !== undefined ? this.flush() : this._writing.then(() => this.ready);
+  detach(this);
+  return written.then(() => this._db && this._db.close());
+};
+
+IndexedDBPersistence.prototype._open = function() {
+  let open = this.indexedDB.open(this.name, 1);
+
+  open.onupgradeneeded = () => {
+    open.result.createObjectStore(STORE);
+  };
+  return request(open);
+};
+
+IndexedDBPersistence.prototype._put = function() {
+  if (!this._db) {
+    return Promise.resolve();
+  }
+
+  let snapshot = this.cache.dump(this._options);
+
+  return new Promise((resolve, reject) => {
+    let transaction = this._db.transaction(STORE, 'readwrite');
+    transaction.objectStore(STORE).put(snapshot, this.key);
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = transaction.onabort = () => reject(transaction.error);
+  }).catch(err => {
+    if (!isQuotaExceeded(err) || !this.cache.size) {
+      throw err;
+    }
+    evictSome(this);
+    return this._put();
+  });
+};
+
+IndexedDBPersistence.prototype._write = function() {
+  this.flush().catch(err => this._report(err));
+};
+
+IndexedDBPersistence.prototype._report = report;
+
+// Sets up the fields shared by both kinds of persistence, and follows the
+// changes of the cache
+function init(persistence, options) {
+  if (options.onError !== undefined && typeof options.onError !== 'function') {
+    throw new TypeError('onError must be a function');
+  }
+
+  persistence.delay = options.delay !== undefined ? options.delay : 100;
+  persistence.onError = options.onError;
+  persistence._options = options;
+  persistence._timer = undefined;
+  persistence._muted = false;
+
+  persistence._onChange = function() {
+    if (!persistence._muted && persistence._timer === undefined) {
+      persistence._timer = setTimeout(() => {
+        persistence._timer = undefined;
+        persistence._write();
+      }, persistence.delay);
+    }
+  };
+
+  persistence._onDelete = function(key) {
+    if (persistence._loading) {
+      persistence._deleted.add(key);
+    }
+  };
+
+  persistence._onClear = function() {
+    if (persistence._loading) {
+      persistence._cleared = true;
+    }
+  };
+
+  CHANGES.forEach(event => persistence.cache.on(event, persistence._onChange));
+  persistence.cache.on('delete', persistence._onDelete).on('clear', persistence._onClear);
+
+  // Do not lose the last changes when the page is closed
+  persistence._onPageHide = function() {
+    if (persistence._timer !== undefined) {
+      persistence._write();
+    }
+  };
+
+  if (typeof addEventListener == 'function') {
+    addEventListener('pagehide', persistence._onPageHide);
+  }
+}
+
+function detach(persistence) {
+  cancel(persistence);
+  CHANGES.forEach(event => persistence.cache.off(event, persistence._onChange));
+  persistence.cache.off('delete', persistence._onDelete).off('clear', persistence._onClear);
+
+  if (typeof removeEventListener == 'function') {
+    removeEventListener('pagehide', persistence._onPageHide);
+  }
+}
+
+function cancel(persistence) {
+  if (persistence._timer !== undefined) {
+    clearTimeout(persistence._timer);
+    persistence._timer = undefined;
+  }
+}
+
+// Loads <snapshot> into the cache behind the entries already there, which are
+// left alone as the most recently used ones
+function restore(persistence, snapshot) {
+  let cache = persistence.cache, options = persistence._options;
+  let size = cache.size;
+
+  if (!snapshot || !Array.isArray(snapshot.entries)) {
+    return;
+  }
+
+  let deserializeKey = options.deserializeKey || (key => key);
+  let deleted = persistence._deleted;
+  let entries = snapshot.entries;
+
+  if (deleted && deleted.size) {
+    entries = entries.filter(item => !deleted.has(deserializeKey(item.key)));
+  }
+
+  persistence._muted = true;
+  try {
+    cache.load({ version: snapshot.version, entries: entries }, Object.assign({}, options, { merge: true }));
+  } catch (err) {
+    persistence._report(err);
+  } finally {
+    persistence._muted = false;
+  }
+
+  // Write the merged entries, and leave out the expired ones
+  if (size || cache.size != snapshot.entries.length) {
+    persistence._onChange();
+  }
+}
+
+// Makes room in the storage by evicting the least recently used tenth of the
+// cache
+function evictSome(persistence) {
+  let cache = persistence.cache;
+  let count = Math.ceil(cache.size / 10);
+
+  persistence._muted = true;
+  try {
+    while (count-- > 0) {
+      cache.removeLRUItem();
+    }
+  } finally {
+    persistence._muted = false;
+  }
+}
+
+// Reports an error to the onError option. Without it, the error is ignored:
+// a storage that fails must not bring the page, or the process, down.
+function report(err) {
+  if (this.onError) {
+    this.onError(err);
+  }
+}
+
+function isQuotaExceeded(err) {
+  return !!err && (err.name == 'QuotaExceededError' || err.name == 'NS_ERROR_DOM_QUOTA_REACHED');
+}
+
+// Promise of the result of an IDBRequest
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+});
@@ -0,0 +1,71 @@
+import { LRUCache, SetOptions } from './lru';
+
+// A channel to another thread or process: a Worker, a MessagePort, a cluster
+// worker or, in a cluster worker, `process`.
+export interface Channel {
+  on(event :'message', listener :(message :any) => void) : any;
+  removeListener(event :'message', listener :(message :any) => void) : any;
+}
+
+// Serves a cache to the clients connected with `connect`.
+export class SharedCacheHost<K,V> {
+  constructor(cache :LRUCache<K,V>);
+
+  // The shared cache
+  cache :LRUCache<K,V>;
+
+  // Start serving requests received on `channel`. Without `channel`, a new
+  // MessageChannel is created and the port to pass to the client is returned.
+  connect(channel? :Channel) : Channel;
+
+  // Stop serving requests received on `channel`, the one passed to or returned
+  // by `connect`. Returns false if the channel is not connected.
+  disconnect(channel :Channel) : boolean;
+
+  // Disconnect all channels and stop listening to the cache.
+  close() : void;
+}
+
+// Settings accepted by the `SharedCacheClient` constructor.
+export interface SharedCacheClientOptions<K,V> {
+  // A cache keeping recently used values in this thread. Keys set or deleted
+  // in the shared cache are removed from it.
+  local? :LRUCache<K,V>;
+
+  // Called when a key is set or deleted in the shared cache by another client
+  // or by the host, or without arguments when the shared cache is cleared.
+  onInvalidate? :(key? :K) => void;
+}
+
+// A proxy for the cache of a SharedCacheHost, reached through `channel`.
+export class SharedCacheClient<K,V> {
+  constructor(channel :Channel, options? :SharedCacheClientOptions<K,V>);
+
+  channel :Channel;
+  local? :LRUCache<K,V>;
+
+  // Resolves with the value for <key>, like `LRUCache.get`.
+  get(key :K) : Promise<V>;
+
+  // Resolves with the value for <key>, loading it with the `fetchMethod` of
+  // the shared cache if it is missing.
+  fetch(key :K) : Promise<V | undefined>;
+
+  // Resolves with the value for <key> without registering recent use.
+  peek(key :K) : Promise<V | undefined>;
+
+  // Resolves with true if there is a value for <key>.
+  has(key :K) : Promise<boolean>;
+
+  // Sets the value for <key> and resolves once the shared cache is updated.
+  set(key :K, value :V, options? :SetOptions) : Promise<void>;
+
+  // Removes <key> and resolves with the removed value, if any.
+  delete(key :K) : Promise<V | undefined>;
+
+  // Removes all entries.
+  clear() : Promise<void>;
+
+  // Stop listening to the channel. Pending requests are rejected.
+  close() : void;
+}
@@ -0,0 +1,394 @@
+/**
+ * A cache shared by worker threads or cluster workers. One thread (usually the
+ * main thread or the cluster primary) owns an LRUCache and serves it with a
+ * SharedCacheHost; the other threads reach it through a SharedCacheClient,
+ * which has the same get/set/has/delete API, returning promises:
+ *
+ *   main thread                          worker thread
+ *   host = new SharedCacheHost(cache)
+ *   host.connect(worker)   <-- messages -->  client = new SharedCacheClient(parentPort)
+ *
+ * A client may keep recently read values in a local cache of its own. The host
+ * tells the clients to drop a key from their local cache whenever the key is
+ * set or deleted in the shared cache.
+ *
+ * Licensed under MIT. See README.md for details.
+ */
+
+const worker_threads = require('worker_threads');
+const lru = require('./lru');
+
+// Methods of the cache that clients may call
+const METHODS = new Set(['get', 'set', 'has', 'peek', 'delete', 'clear', 'fetch']);
+
+// Errors of the cache that are rebuilt by clients
+const ERRORS = {
+  NotFoundError: error => new lru.NotFoundError(error.key),
+  OverflowError: () => new lru.OverflowError(),
+  TypeError: error => new TypeError(error.message),
+  RangeError: error => new RangeError(error.message),
+};
+
+/**
+ * Serves <cache> to the clients connected with connect().
+ *
+ * @param {LRUCache} cache The cache to share.
+ */
+function SharedCacheHost(cache) {
+  this.cache = cache;
+  this._channels = new Map(); // channel -> { listener, subscribed }
+  this._origin = undefined; // channel of the request being handled
+
+  this._onSet = key => this._invalidate({ lru: 'invalidate', key: key });
+  this._onDelete = this._onSet;
+  this._onClear = () => this._invalidate({ lru: 'invalidate', all: true });
+
+  cache.on('set', this._onSet).on('delete', this._onDelete).on('clear', this._onClear);
+}
+
+exports.SharedCacheHost = SharedCacheHost;
+
+/**
+ * Start serving requests received on <channel>: a Worker, a MessagePort, or a
+ * cluster worker. Without <channel>, a new MessageChannel is created and the
+ * port to pass to the client is returned (it has to be listed in the
+ * transferList when posted to a worker).
+ *
+ * @param {Worker|MessagePort|cluster.Worker} channel (optional)
+ * @return {Worker|MessagePort|cluster.Worker} The channel for the client
+ */
+SharedCacheHost.prototype.connect = function(channel) {
+  let clientChannel = channel;
+
+  if (channel === undefined) {
+    let ports = new worker_threads.MessageChannel();
+    channel = ports.port1;
+    clientChannel = ports.port2;
+  }
+
+  let connection = {
+    listener: message => this._receive(channel, connection, message),
+    subscribed: false,
+    clientChannel: clientChannel,
+  };
+  this._channels.set(channel, connection);
+  channel.on('message', connection.listener);
+
+  return clientChannel;
+};
+
+/**
+ * Stop serving requests received on <channel>, the one passed to or returned
+ * by connect(). Ports created by connect() are closed. Returns false if the
+ * channel is not connected.
+ */
+SharedCacheHost.prototype.disconnect = function(channel) {
+  for (let [known, connection] of this._channels) {
+    if (known === channel || connection.clientChannel === channel) {
+      this._channels.delete(known);
+      known.removeListener('message', connection.listener);
+      if (known !== connection.clientChannel) {
+        known.close();
+      }
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Disconnect all channels and stop listening to the cache.
+ */
+SharedCacheHost.prototype.close = function() {
+  for (let channel of Array.from(this._channels.keys())) {
+    this.disconnect(channel);
+  }
+  this.cache.off('set', this._onSet).off('delete', this._onDelete).off('clear', this._onClear);
+};
+
+SharedCacheHost.prototype._receive = function(channel, connection, message) {
+  if (!message || message.lru === undefined) {
+    return; // Not for us
+  }
+
+  if (message.lru == 'subscribe') {
+    connection.subscribed = true;
+    return;
+  }
+
+  let result;
+
+  this._origin = channel;
+  try {
+    if (!METHODS.has(message.method)) {
+      throw new TypeError('unknown method: ' + message.method);
+    }
+    result = this.cache[message.method].apply(this.cache, message.args);
+  } catch (err) {
+    this._reply(channel, message.id, Promise.reject(err));
+    return;
+  } finally {
+    this._origin = undefined;
+  }
+
+  // set() returns the cache itself, which cannot be sent
+  this._reply(channel, message.id, result === this.cache ? undefined : result);
+};
+
+SharedCacheHost.prototype._reply = function(channel, id, result) {
+  Promise.resolve(result).then(value => {
+    if (this._channels.has(channel)) {
+      try {
+        post(channel, { lru: 'result', id: id, value: value });
+      } catch (err) {
+        // The value cannot be sent, e.g. a function (DataCloneError)
+        replyError(channel, id, err);
+      }
+    }
+  }, err => {
+    if (this._channels.has(channel)) {
+      replyError(channel, id, err);
+    }
+  });
+};
+
+SharedCacheHost.prototype._invalidate = function(message) {
+  for (let [channel, connection] of this._channels) {
+    // The client that made the change already knows about it
+    if (connection.subscribed && channel !== this._origin) {
+      post(channel, message);
+    }
+  }
+};
+
+/**
+ * A proxy for the cache of a SharedCacheHost, whose methods return promises.
+ *
+ * @param {MessagePort|process} channel The channel to the host: `parentPort` in a worker thread,
+ *                              a port returned by SharedCacheHost.connect(), or `process` in a
+ *                              cluster worker.
+ * @param {Object} options      (optional) Additional settings:
+ *                              - local: an LRUCache keeping recently used values in this thread.
+ *                                Keys set or deleted in the shared cache are removed from it.
+ *                                Give it a short lifetime, as expiry is not shared.
+ *                              - onInvalidate: function(key) called when a key is set or deleted
+ *                                in the shared cache by another client or by the host, or without
+ *                                arguments when the shared cache is cleared.
+ */
+function SharedCacheClient(channel, options) {
+  options = options || {};
+  this.channel = channel;
+  this.local = options.local;
+  this.onInvalidate = options.onInvalidate;
+
+  this._pending = new Map(); // id -> { resolve, reject }
+  this._lastId = 0;
+
+  // Incremented on each invalidation, so that a value read before it is not
+  // added to the local cache after it
+  this._generation = 0;
+
+  this._listener = message => this._receive(message);
+  channel.on('message', this._listener);
+
+  if (this.local || this.onInvalidate) {
+    post(channel, { lru: 'subscribe' });
+  }
+}
+
+exports.SharedCacheClient = SharedCacheClient;
+
+/**
+ * Resolves with the value for <key>, like LRUCache.get(). Rejects with a
+ * NotFoundError if the key is missing, unless the shared cache was constructed
+ * with `throwOnMiss: false`.
+ */
+SharedCacheClient.prototype.get = function(key) {
+  if (this.local && this.local.has(key)) {
+    return Promise.resolve(this.local.get(key));
+  }
+  return this._cache(key, this._request('get', [key]));
+};
+
+/**
+ * Resolves with the value for <key>, loading it with the `fetchMethod` of the
+ * shared cache if it is missing. Concurrent fetches of a key share one load,
+ * across all threads.
+ */
+SharedCacheClient.prototype.fetch = function(key) {
+  if (this.local && this.local.has(key)) {
+    return Promise.resolve(this.local.get(key));
+  }
+  return this._cache(key, this._request('fetch', [key]));
+};
+
+/**
+ * Resolves with the value for <key> without registering recent use, or with
+ * undefined if it is missing.
+ */
+SharedCacheClient.prototype.peek = function(key) {
+  if (this.local && this.local.has(key)) {
+    return Promise.resolve(this.local.find(key));
+  }
+  return this._request('peek', [key]);
+};
+
+/**
+ * Resolves with true if there is a value for <key>.
+ */
+SharedCacheClient.prototype.has = function(key) {
+  if (this.local && this.local.has(key)) {
+    return Promise.resolve(true);
+  }
+  return this._request('has', [key]);
+};
+
+/**
+ * Sets the value for <key>, with the same options as LRUCache.set(). Resolves
+ * once the shared cache has been updated.
+ */
+SharedCacheClient.prototype.set = function(key, value, options) {
+  this._generation++;
+  if (this.local) {
+    this.local.set(key, value);
+  }
+  let request = this._request('set', options === undefined ? [key, value] : [key, value, options]);
+
+  if (!this.local) {
+    return request;
+  }
+
+  // Do not keep a value the shared cache has refused, e.g. for being too large
+  return request.catch(err => {
+    this.local.delete(key);
+    throw err;
+  });
+};
+
+/**
+ * Removes <key> from the shared cache. Resolves with the removed value, or
+ * undefined if it was missing.
+ */
+SharedCacheClient.prototype['delete'] = function(key) {
+  this._generation++;
+  if (this.local) {
+    this.local.delete(key);
+  }
+  return this._request('delete', [key]);
+};
+
+/**
+ * Removes all entries from the shared cache.
+ */
+SharedCacheClient.prototype.clear = function() {
+  this._generation++;
+  if (this.local) {
+    this.local.clear();
+  }
+  return this._request('clear', []);
+};
+
+/**
+ * Stop listening to the channel, which lets a worker thread exit. Pending
+ * requests are rejected.
+ */
+SharedCacheClient.prototype.close = function() {
+  this.channel.removeListener('message', this._listener);
+
+  let pending = this._pending;
+  this._pending = new Map();
+  for (let request of pending.values()) {
+    request.reject(new Error('closed'));
+  }
+};
+
+SharedCacheClient.prototype._request = function(method, args) {
+  let id = ++this._lastId;
+
+  return new Promise((resolve, reject) => {
+    this._pending.set(id, { resolve: resolve, reject: reject });
+    post(this.channel, { lru: 'request', id: id, method: method, args: args });
+  });
+};
+
+// Adds the value <request> resolves with to the local cache, unless the key
+// was invalidated in the meantime
+SharedCacheClient.prototype._cache = function(key, request) {
+  if (!this.local) {
+    return request;
+  }
+
+  let generation = this._generation;
+
+  return request.then(value => {
+    if (value !== undefined && generation == this._generation) {
+      this.local.set(key, value);
+    }
+    return value;
+  });
+};
+
+SharedCacheClient.prototype._receive = function(message) {
+  if (!message || message.lru === undefined) {
+    return; // Not for us
+  }
+
+  if (message.lru == 'invalidate') {
+    this._generation++;
+    if (message.all) {
+      if (this.local) {
+        this.local.clear();
+      }
+      if (this.onInvalidate) {
+        this.onInvalidate();
+      }
+    } else {
+      if (this.local) {
+        this.local.delete(message.key);
+      }
+      if (this.onInvalidate) {
+        this.onInvalidate(message.key);
+      }
+    }
+    return;
+  }
+
+  let request = this._pending.get(message.id);
+
+  if (!request) {
+    return; // Rejected by close()
+  }
+  this._pending.delete(message.id);
+
+  if (message.lru == 'error') {
+    let rebuild = ERRORS[message.error.name];
+    let err = rebuild ? rebuild(message.error) : new Error(message.error.message);
+    if (!rebuild && message.error.name) {
+      err.name = message.error.name;
+    }
+    request.reject(err);
+  } else {
+    request.resolve(message.value);
+  }
+};
+
+function replyError(channel, id, err) {
+  let error = { name: err && err.name, message: err && err.message, key: err && err.key };
+
+  // The key of the error may not be sendable either
+  try {
+    post(channel, { lru: 'error', id: id, error: error });
+  } catch (e) {
+    post(channel, { lru: 'error', id: id, error: { name: error.name, message: String(error.message) } });
+  }
+}
+
+// Worker threads and message ports have postMessage(), while cluster workers
+// (and `process` in them) have send()
+function post(channel, message) {
+  if (typeof channel.postMessage == 'function') {
+    channel.postMessage(message);
+  } else {
+    channel.send(message);
+  }
+}
@@ -0,0 +1,34 @@
+import { SecondaryStore, SecondaryRecord } from './lru';
+
+// Keeps the records in a Map. Meant as a stand-in for slower stores in tests.
+export class MemoryStore<K,V> implements SecondaryStore<K,V> {
+  constructor();
+
+  // The stored records.
+  records :Map<K, SecondaryRecord<V>>;
+
+  get(key :K) : Promise<SecondaryRecord<V> | undefined>;
+  set(key :K, record :SecondaryRecord<V>) : Promise<void>;
+  delete(key :K) : Promise<void>;
+}
+
+// Settings accepted by the `FileStore` constructor.
+export interface FileStoreOptions<K,V> {
+  // Returns the contents of the file for a record. Defaults to JSON encoding.
+  serialize? :(key :K, record :SecondaryRecord<V>) => string;
+
+  // Reverses `serialize`.
+  deserialize? :(contents :string) => { key :K, record :SecondaryRecord<V> };
+}
+
+// Keeps each record in a file of `directory`, which is created if missing. If
+// it cannot be created, every operation rejects with the error.
+export class FileStore<K,V> implements SecondaryStore<K,V> {
+  constructor(directory :string, options? :FileStoreOptions<K,V>);
+
+  directory :string;
+
+  get(key :K) : Promise<SecondaryRecord<V> | undefined>;
+  set(key :K, record :SecondaryRecord<V>) : Promise<void>;
+  delete(key :K) : Promise<void>;
+}
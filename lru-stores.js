@@ -0,0 +1,105 @@
+/**
+ * Secondary stores for the `secondary` option of LRUCache: entries evicted
+ * from the cache are moved to the store, and fetch() looks there for missing
+ * entries. A store has three methods, each returning a promise:
+ *
+ *   get(key)          resolves to the record stored for <key>, or undefined
+ *   set(key, record)  stores a record, a { value, createdAt, ttl } object
+ *   delete(key)       removes the record for <key>, if there is one
+ *
+ * Licensed under MIT. See README.md for details.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Keeps the records in a Map. Meant as a stand-in for slower stores in tests.
+ */
+function MemoryStore() {
+  this.records = new Map();
+}
+
+exports.MemoryStore = MemoryStore;
+
+MemoryStore.prototype.get = function(key) {
+  return Promise.resolve(this.records.get(key));
+};
+
+MemoryStore.prototype.set = function(key, record) {
+  this.records.set(key, record);
+  return Promise.resolve();
+};
+
+MemoryStore.prototype['delete'] = function(key) {
+  this.records.delete(key);
+  return Promise.resolve();
+};
+
+/**
+ * Keeps each record in a file of <directory>, named after a hash of the key.
+ *
+ * @param {string} directory The directory of the files. Created if missing; if it cannot be,
+ *                           every operation rejects with the error.
+ * @param {Object} options   (optional) Additional settings:
+ *                           - serialize: function(key, record) returning the contents of a
+ *                             file. Defaults to JSON, so keys and values must survive JSON
+ *                             encoding unless this is given.
+ *                           - deserialize: function(contents) returning { key, record }.
+ */
+function FileStore(directory, options) {
+  options = options || {};
+  this.directory = directory;
+  this.serialize = options.serialize || ((key, record) => JSON.stringify({ key: key, record: record }));
+  this.deserialize = options.deserialize || JSON.parse;
+  this._ready = fs.promises.mkdir(directory, { recursive: true });
+  this._writes = 0;
+
+  // A directory that cannot be created fails every operation, not the process
+  this._ready.catch(() => {});
+}
+
+exports.FileStore = FileStore;
+
+FileStore.prototype.get = function(key) {
+  return this._ready.then(() => fs.promises.readFile(this._file(key), 'utf8')).then(contents => {
+    let stored = this.deserialize(contents);
+
+    // Different keys may share a hash, however unlikely. Keys that are objects
+    // come back as copies, so the encoded keys are compared.
+    return keyId(stored.key) === keyId(key) ? stored.record : undefined;
+  }, ignoreMissing);
+};
+
+FileStore.prototype.set = function(key, record) {
+  let file = this._file(key);
+
+  // Write to a temporary file first, so that readers never see half a record
+  let temporary = file + '.' + process.pid + '.' + (++this._writes) + '.tmp';
+
+  return this._ready
+    .then(() => fs.promises.writeFile(temporary, this.serialize(key, record)))
+    .then(() => fs.promises.rename(temporary, file));
+};
+
+FileStore.prototype['delete'] = function(key) {
+  return this._ready.then(() => fs.promises.unlink(this._file(key))).then(() => {}, ignoreMissing);
+};
+
+FileStore.prototype._file = function(key) {
+  let hash = crypto.createHash('sha1').update(keyId(key)).digest('hex');
+  return path.join(this.directory, hash + '.json');
+};
+
+// Identifies a key by its type and JSON encoding
+function keyId(key) {
+  return typeof key + ':' + JSON.stringify(key);
+}
+
+function ignoreMissing(err) {
+  if (err.code !== 'ENOENT') {
+    throw err;
+  }
+  return undefined;
+}
@@ -0,0 +1,120 @@
+import {
+  LRUCacheOptions, SetOptions, DisposeReason, CacheStats, EntryEvent, CacheSnapshot, DumpOptions,
+  LoadOptions, FetchOptions, EntryMeta, ReadonlyLRUCache, NotFoundError, OverflowError
+} from './lru';
+export { NotFoundError, OverflowError };
+
+// The settings of `LRUCacheOptions` supported by `TypedLRUCache`. The others
+// are rejected with a TypeError.
+export type TypedLRUCacheOptions<K,V> =
+  Pick<LRUCacheOptions<K,V>, 'maxSize' | 'sizeCalculation' | 'ttl' | 'purgeInterval' | 'dispose' |
+                             'fetchMethod' | 'throwOnMiss' | 'stats' | 'clock' | 'updateAgeOnSet' |
+                             'updateAgeOnGet' | 'updateAgeOnHas' | 'noUpdateTTL'> & {
+    // Only the default policy is supported.
+    policy? :'lru';
+  };
+
+// An LRU cache that keeps its entries in preallocated typed arrays instead of
+// one object per entry, for caches holding millions of entries. It works like
+// `LRUCache`, without stale values, secondary stores and eviction policies
+// other than LRU. The methods of `LRUCache` missing below
+// throw a TypeError when called.
+export class TypedLRUCache<K,V> {
+  // Construct a new cache object which will hold up to limit entries. Unlike
+  // `LRUCache`, the limit is required, as it sets the size of the arrays.
+  constructor(lifetime :number, limit :number, entries? :Iterable<[K,V]>, options? :TypedLRUCacheOptions<K,V>);
+  constructor(lifetime :number, limit :number, options :TypedLRUCacheOptions<K,V>);
+
+  // Convenience constructor equivalent to `new TypedLRUCache(count(entries), entries)`
+  constructor(lifetime :number, entries :Iterable<[K,V]>, options? :TypedLRUCacheOptions<K,V>);
+
+  // Current number of items
+  size :number;
+
+  // Maximum number of items this map can hold.
+  limit :number;
+
+  // Maximum total size of the items this map can hold. Zero means no limit.
+  maxSize :number;
+
+  // Total size of the items currently in the map. Always zero when `maxSize`
+  // is not set.
+  calculatedSize :number;
+
+  // Disposal callback given to the constructor, if any.
+  dispose? :(value :V, key :K, reason :DisposeReason) => void;
+
+  // Whether `get` throws a NotFoundError for missing keys.
+  throwOnMiss :boolean;
+
+  // The age update settings given to the constructor, see `LRUCacheOptions`.
+  updateAgeOnSet :boolean;
+  updateAgeOnGet :boolean;
+  updateAgeOnHas :boolean;
+  noUpdateTTL :boolean;
+
+  // Least recently-used entry, as a new object on every read.
+  readonly tail :{key :K, value :V} | undefined;
+
+  // Most recently-used entry, as a new object on every read.
+  readonly head :{key :K, value :V} | undefined;
+
+  // See `LRUCache`.
+  readonly oldest :Readonly<{key :K, value :V}> | undefined;
+  readonly newest :Readonly<{key :K, value :V}> | undefined;
+
+  // Replace all values in this map with key-value pairs (2-element Arrays) from
+  // provided iterable. Throws an OverflowError, leaving the map unchanged, when
+  // they do not fit.
+  assign(entries :Iterable<[K,V]>) : void;
+
+  // See `LRUCache`.
+  set(key :K, value :V, options? :SetOptions) : TypedLRUCache<K,V>;
+  removeLRUItem() : [K,V] | undefined;
+  get(key :K) : V;
+  has(key :K) : boolean;
+  getRemainingTTL(key :K) : number;
+  find(key :K) : V | undefined;
+  peek(key :K) : V | undefined;
+  delete(key :K) : V | undefined;
+  purgeStale() : number;
+  clear() : void;
+  keys() : Iterator<K>;
+  values() : Iterator<V>;
+  entries() : Iterator<[K,V]>;
+  [Symbol.iterator]() : Iterator<[K,V]>;
+  rkeys() : IterableIterator<K>;
+  rvalues() : IterableIterator<V>;
+  rentries() : IterableIterator<[K,V]>;
+  slice(start? :number, end? :number) : Array<[K,V]>;
+  forEach(fun :(value :V, key :K, m :TypedLRUCache<K,V>)=>void, thisArg? :any) : void;
+  toJSON(withDate? :boolean) : Array<{key :K, value :V}>;
+  toString(withDate? :boolean) : string;
+  readonly() : ReadonlyLRUCache<K,V>;
+  setMany(entries :Iterable<[K,V]>, options? :SetOptions) : TypedLRUCache<K,V>;
+  getMany(keys :Iterable<K>) : { hits :Map<K,V>, misses :K[] };
+  deleteMany(keys :Iterable<K>) : number;
+  transaction<T>(fn :(cache :TypedLRUCache<K,V>) => T) : T;
+  invalidateTag(tag :any) : number;
+  deleteWhere(predicate :(value :V, key :K, meta :EntryMeta) => boolean) : number;
+  stats() : CacheStats | undefined;
+  resetStats() : void;
+  on(event :EntryEvent, listener :(key :K, value :V) => void) : this;
+  on(event :'miss', listener :(key :K) => void) : this;
+  on(event :'clear', listener :() => void) : this;
+  once(event :EntryEvent, listener :(key :K, value :V) => void) : this;
+  once(event :'miss', listener :(key :K) => void) : this;
+  once(event :'clear', listener :() => void) : this;
+  off(event :EntryEvent, listener :(key :K, value :V) => void) : this;
+  off(event :'miss', listener :(key :K) => void) : this;
+  off(event :'clear', listener :() => void) : this;
+
+  // See `LRUCache`. Snapshots can be passed from one kind of cache to the other.
+  dump(options? :DumpOptions<K,V>) : CacheSnapshot;
+  load(snapshot :CacheSnapshot, options? :LoadOptions<K,V>) : number;
+
+  // See `LRUCache`. The value is loaded with `fetchMethod`; expired values are
+  // never served.
+  fetch(key :K, options? :FetchOptions) : Promise<V | undefined>;
+  stopPurging() : void;
+}
@@ -0,0 +1,1659 @@
+/**
+ * A Least Recently Used (LRU) cache with the same API as lru.js, for caches
+ * holding millions of entries. Instead of one object per entry, the linked
+ * list is kept in typed arrays indexed by slot:
+ *
+ *   keys      [ A ][ B ][ C ][   ]     a slot holds one entry
+ *   values    [ a ][ b ][ c ][   ]
+ *   previous  [ - ][ 0 ][ 1 ][   ]     slot of the newer entry
+ *   next      [ 1 ][ 2 ][ - ][   ]     slot of the older entry
+ *
+ * All slots are allocated up front (the limit is required), and the slots of
+ * removed entries are kept in a free-list, so that the heap does not grow and
+ * the garbage collector has few objects to walk.
+ *
+ * Licensed under MIT. See README.md for details.
+ */
+(function(g,f){
+  const e = typeof exports == 'object' ? exports : typeof g == 'object' ? g : {};
+  f(e, typeof require == 'function' ? require('./lru') : e);
+  if (typeof define == 'function' && define.amd) { define('lru-typed', e); }
+})(this, function(exports, lru) {
+
+const NotFoundError = lru.NotFoundError;
+const OverflowError = lru.OverflowError;
+
+// Marks the absence of a slot, e.g. the entry before the head
+const NIL = 0xffffffff;
+
+// Marks an entry without a lifetime of its own
+const NO_TTL = -1;
+
+// Returned by _get() for keys that are not in the cache
+const MISSING = Symbol('missing');
+
+// The version of the snapshots returned by dump(), the same as those of lru.js
+const SNAPSHOT_VERSION = 1;
+
+const EVENTS = new Set(['set', 'hit', 'miss', 'evict', 'expire', 'delete', 'clear']);
+
+// Options this implementation knows. Any other one, including the other
+// options of lru.js, is rejected rather than silently ignored.
+const SUPPORTED = [
+  'maxSize', 'sizeCalculation', 'ttl', 'purgeInterval', 'dispose', 'fetchMethod', 'throwOnMiss',
+  'stats', 'clock', 'policy', 'updateAgeOnSet', 'updateAgeOnGet', 'updateAgeOnHas', 'noUpdateTTL'
+];
+
+// Methods of lru.js that this implementation leaves out
+const UNSUPPORTED_METHODS = ['flush'];
+
+/**
+ * @param {int} lifetime     The maximum period (in minutes) that a cache entry is considered
+ *                           valid and can be used. A value of zero will disable lifetime expiration.
+ * @param {int} limit        The maximum number of entries that can be placed in the cache. Unlike
+ *                           lru.js, a limit is required: it sets the size of the arrays.
+ * @param {Iterable} entries (optional) key-value pairs to be used as initial cache content.
+ * @param {Object} options   (optional) maxSize, sizeCalculation, ttl, purgeInterval, dispose,
+ *                           fetchMethod, throwOnMiss, stats, clock, updateAgeOnSet,
+ *                           updateAgeOnGet, updateAgeOnHas and noUpdateTTL, as for lru.js, and
+ *                           policy, which can only be 'lru'. Any other option throws a TypeError.
+ */
+function TypedLRUCache(lifetime, limit, entries, options) {
+  if (typeof limit !== 'number') {
+    // called as (lifetime, entries[, options])
+    options = entries;
+    entries = limit ? Array.from(limit) : [];
+    limit = entries.length;
+  }
+
+  if (entries && typeof entries[Symbol.iterator] !== 'function') {
+    // called as (lifetime, limit, options)
+    options = entries;
+    entries = undefined;
+  }
+
+  options = options || {};
+
+  if (!(limit >= 1 && limit < NIL && limit % 1 == 0)) {
+    throw new TypeError('limit must be a positive integer');
+  }
+
+  Object.keys(options).forEach(name => {
+    if (options[name] !== undefined && SUPPORTED.indexOf(name) < 0) {
+      throw new TypeError(name + ' is not supported by TypedLRUCache');
+    }
+  });
+
+  if (options.policy !== undefined && options.policy !== 'lru') {
+    throw new TypeError('policy is not supported by TypedLRUCache');
+  }
+
+  if (options.maxSize !== undefined && !(options.maxSize >= 0)) {
+    throw new TypeError('maxSize must be a non-negative number');
+  }
+
+  if (options.sizeCalculation !== undefined && typeof options.sizeCalculation !== 'function') {
+    throw new TypeError('sizeCalculation must be a function');
+  }
+
+  if (options.dispose !== undefined && typeof options.dispose !== 'function') {
+    throw new TypeError('dispose must be a function');
+  }
+
+  if (options.fetchMethod !== undefined && typeof options.fetchMethod !== 'function') {
+    throw new TypeError('fetchMethod must be a function');
+  }
+
+  if (options.ttl !== undefined) {
+    lifetime = validTTL(options.ttl) / 60000;
+  }
+
+  this.lifetime = lifetime;
+  this.size = 0;
+  this.limit = limit;
+  this.maxSize = options.maxSize || 0;
+  this.sizeCalculation = options.sizeCalculation;
+  this.calculatedSize = 0;
+  this.dispose = options.dispose;
+  this.fetchMethod = options.fetchMethod;
+  this.throwOnMiss = options.throwOnMiss !== false;
+  this.updateAgeOnSet = options.updateAgeOnSet !== false;
+  this.updateAgeOnGet = !!options.updateAgeOnGet;
+  this.updateAgeOnHas = !!options.updateAgeOnHas;
+  this.noUpdateTTL = !!options.noUpdateTTL;
+  this._now = clockOf(options.clock);
+  this._stats = options.stats ? newStats() : undefined;
+  this._events = undefined;   // event -> listeners, once there are any
+  this._inflight = new Map(); // key -> fetch under way
+  this._held = undefined;     // callbacks waiting for the operation under way
+  this._transaction = undefined; // state to roll back to, inside transaction()
+  this._keymap = new Map();   // key -> slot
+  this._keys = new Array(limit);
+  this._values = new Array(limit);
+  this._previous = new Uint32Array(limit).fill(NIL);
+  this._next = new Uint32Array(limit).fill(NIL);
+  this._createdAt = new Float64Array(limit);
+  this._ttls = undefined;     // allocated by the first entry with a lifetime of its own
+  this._sizes = this.maxSize ? new Float64Array(limit) : undefined;
+  this._entryTags = undefined; // allocated by the first entry with tags
+  this._tags = undefined;     // tag -> Set of slots, once an entry has tags
+  this._head = NIL;
+  this._tail = NIL;
+  this._free = NIL;           // first slot of the free-list, linked through _next
+  this._used = 0;             // slots at and beyond this one have never been used
+  this._version = 0;          // incremented whenever entries are added, removed or reordered
+
+  if (options.purgeInterval) {
+    this._purgeTimer = startPurging(this, options.purgeInterval);
+  }
+
+  if (entries) {
+    this.assign(entries);
+  }
+}
+
+exports.TypedLRUCache = TypedLRUCache;
+exports.NotFoundError = NotFoundError;
+exports.OverflowError = OverflowError;
+
+/** The least recently used entry, as a { key, value } object */
+Object.defineProperty(TypedLRUCache.prototype, 'tail', {
+  get: function() { return this._entryAt(this._tail); }
+});
+
+/** The most recently used entry, as a { key, value } object */
+Object.defineProperty(TypedLRUCache.prototype, 'head', {
+  get: function() { return this._entryAt(this._head); }
+});
+
+// Calling a method of lru.js that is left out says so, rather than failing
+// with "is not a function"
+UNSUPPORTED_METHODS.forEach(name => {
+  TypedLRUCache.prototype[name] = function() {
+    throw new TypeError(name + '() is not supported by TypedLRUCache');
+  };
+});
+
+TypedLRUCache.prototype.assign = function(entries) {
+  // A key given more than once gets the last value given for it
+  let pairs = Array.from(new Map(entries));
+  let sizes = pairs.map(pair => this._entrySize(pair[0], pair[1]));
+  let calculatedSize = sizes.reduce((total, size) => total + size, 0);
+
+  // Check everything fits before touching the current entries
+  if (pairs.length > this.limit || calculatedSize > (this.maxSize || Number.MAX_VALUE)) {
+    throw new OverflowError();
+  }
+
+  let old = this.dispose ? this._pairs() : undefined;
+
+  this._reset();
+  this._inflight.clear();
+
+  for (let i = 0; i < pairs.length; i++) {
+    this._insert(pairs[i][0], pairs[i][1], sizes[i], undefined);
+  }
+
+  // Dispose the replaced values, unless they were assigned again to the same key
+  if (old) {
+    for (let i = 0; i < old.length; i++) {
+      let slot = this._keymap.get(old[i][0]);
+
+      if (slot === undefined || this._values[slot] !== old[i][1]) {
+        this._dispose(old[i][1], old[i][0], slot === undefined ? 'clear' : 'set');
+      }
+    }
+  }
+
+  // Tell listeners the cache was cleared and the entries set, as clear() and
+  // set() would
+  if (this._events) {
+    this._emit('clear');
+
+    for (let slot = this._tail; slot !== NIL; slot = this._previous[slot]) {
+      this._emit('set', this._keys[slot], this._values[slot]);
+    }
+  }
+};
+
+TypedLRUCache.prototype.has = function(key) {
+  return this._has(key, this.updateAgeOnHas);
+};
+
+TypedLRUCache.prototype._has = function(key, renewAge) {
+  let slot = this._keymap.get(key);
+
+  if (slot === undefined) {
+    return false;
+  }
+
+  let now = this._now();
+
+  if (this._isExpired(slot, now)) {
+    this._remove(slot, 'expire');
+    return false;
+  }
+
+  if (renewAge) {
+    this._createdAt[slot] = now;
+  }
+
+  return true;
+};
+
+TypedLRUCache.prototype.getRemainingTTL = function(key) {
+  let slot = this._keymap.get(key);
+
+  if (slot === undefined) {
+    return 0;
+  }
+
+  let ttl = this._ttlOf(slot);
+
+  if (!ttl) {
+    return Infinity;
+  }
+
+  return Math.max(0, this._createdAt[slot] + ttl - this._now());
+};
+
+TypedLRUCache.prototype.get = function(key) {
+  let value = this._get(key);
+
+  if (value === MISSING) {
+    if (this.throwOnMiss) {
+      throw new NotFoundError(key);
+    }
+    return undefined;
+  }
+
+  return value;
+};
+
+// Like get(), but returns MISSING for keys that are not in the cache
+TypedLRUCache.prototype._get = function(key) {
+  if (!this._has(key, this.updateAgeOnGet)) {
+    if (this._stats) {
+      this._stats.misses++;
+    }
+
+    if (this._events) {
+      this._emit('miss', key);
+    }
+
+    return MISSING;
+  }
+
+  let slot = this._keymap.get(key);
+  let value = this._values[slot];
+
+  this._markAsUsed(slot);
+
+  if (this._stats) {
+    this._stats.hits++;
+  }
+
+  if (this._events) {
+    this._emit('hit', key, value);
+  }
+
+  return value;
+};
+
+TypedLRUCache.prototype.set = function(key, value, options) {
+  let size = this._entrySize(key, value, options);
+  let ttl  = options && options.ttl !== undefined ? validTTL(options.ttl) : undefined;
+  let tags = options && options.tags !== undefined ? validTags(options.tags) : undefined;
+
+  // An entry that does not fit even in an empty cache is rejected
+  if (size > this.maxSize) {
+    throw new OverflowError();
+  }
+
+  if (this._stats) {
+    this._stats.sets++;
+  }
+
+  // A fetch of the key that is under way must not overwrite this value
+  if (this._inflight.size) {
+    this._inflight.delete(key);
+  }
+
+  let slot = this._keymap.get(key);
+
+  // Key already exists
+  if (slot !== undefined) {
+    let oldValue = this._values[slot];
+    let now = this._now();
+    let keepAge = !this.updateAgeOnSet || this.noUpdateTTL;
+
+    // An entry that has already expired starts anew
+    if (keepAge && this._isExpired(slot, now)) {
+      keepAge = false;
+    }
+
+    this._values[slot] = value;
+
+    if (!keepAge) {
+      this._createdAt[slot] = now;
+    }
+
+    if (!keepAge || !this.noUpdateTTL) {
+      this._setTTL(slot, ttl);
+    }
+
+    if (this._sizes) {
+      this.calculatedSize += size - this._sizes[slot];
+      this._sizes[slot] = size;
+    }
+
+    if (this._entryTags && this._entryTags[slot]) {
+      this._untag(slot);
+    }
+
+    if (tags) {
+      this._tag(slot, tags);
+    }
+
+    this._markAsUsed(slot);
+
+    if (this._stats) {
+      this._stats.overwrites++;
+    }
+
+    if (oldValue !== value) {
+      this._dispose(oldValue, key, 'set');
+    }
+
+    this._evictToFit();
+
+    if (this._events) {
+      this._emit('set', key, value);
+    }
+
+    return this;
+  }
+
+  // The evictions call back once the entry is in place, as listeners may read it
+  this._holdCallbacks(() => {
+    // Key does not exist: make room for it first, as the arrays cannot grow
+    if (this.size == this.limit) {
+      this.removeLRUItem();
+    }
+
+    let slot = this._insert(key, value, size, ttl);
+
+    if (tags) {
+      this._tag(slot, tags);
+    }
+
+    this._evictToFit();
+  });
+
+  if (this._events) {
+    this._emit('set', key, value);
+  }
+
+  return this;
+};
+
+TypedLRUCache.prototype.removeLRUItem = function() {
+  if (this.size == 0) {
+    return undefined;
+  }
+
+  let slot = this._tail;
+  let key = this._keys[slot], value = this._values[slot];
+
+  this._remove(slot, 'evict');
+
+  return [key, value];
+};
+
+TypedLRUCache.prototype['delete'] = function(key) {
+  let slot = this._keymap.get(key);
+
+  // Nor bring back the key once the fetch completes
+  if (this._inflight.size) {
+    this._inflight.delete(key);
+  }
+
+  if (slot === undefined) {
+    return undefined;
+  }
+
+  let value = this._values[slot];
+
+  this._remove(slot, 'delete');
+
+  return value;
+};
+
+TypedLRUCache.prototype.purgeStale = function() {
+  let now = this._now();
+  let purged = 0;
+  let slot = this._tail;
+
+  while (slot !== NIL) {
+    let newer = this._previous[slot];
+
+    if (this._isExpired(slot, now)) {
+      this._remove(slot, 'expire');
+      purged++;
+    }
+
+    slot = newer;
+  }
+
+  return purged;
+};
+
+TypedLRUCache.prototype.clear = function() {
+  let old = this.dispose ? this._pairs() : undefined;
+
+  this._reset();
+  this._inflight.clear();
+
+  if (this._events) {
+    this._emit('clear');
+  }
+
+  if (old) {
+    for (let i = 0; i < old.length; i++) {
+      this._dispose(old[i][1], old[i][0], 'clear');
+    }
+  }
+};
+
+TypedLRUCache.prototype.stopPurging = function() {
+  clearInterval(this._purgeTimer);
+  this._purgeTimer = undefined;
+};
+
+TypedLRUCache.prototype._reset = function() {
+  // Drop the references to keys and values, so that they can be collected
+  this._keys.fill(undefined, 0, this._used);
+  this._values.fill(undefined, 0, this._used);
+  this._previous.fill(NIL, 0, this._used);
+  this._next.fill(NIL, 0, this._used);
+  this._keymap.clear();
+  this._tags = undefined;
+
+  if (this._entryTags) {
+    this._entryTags.fill(undefined, 0, this._used);
+  }
+
+  this._head = this._tail = this._free = NIL;
+  this._used = 0;
+  this._version++;
+  this.size = 0;
+  this.calculatedSize = 0;
+};
+
+// Adds an entry as the most recently used one, or with <older>, as the least
+// recently used one, and returns its slot
+TypedLRUCache.prototype._insert = function(key, value, size, ttl, createdAt, older) {
+  let slot;
+
+  if (this._free !== NIL) {
+    slot = this._free;
+    this._free = this._next[slot];
+  } else {
+    slot = this._used++;
+  }
+
+  this._keys[slot] = key;
+  this._values[slot] = value;
+  this._createdAt[slot] = createdAt !== undefined ? createdAt : this._now();
+  this._setTTL(slot, ttl);
+
+  if (this._sizes) {
+    this._sizes[slot] = size;
+  }
+
+  if (older) {
+    // The entry becomes the tail of the list
+    this._previous[slot] = this._tail;
+    this._next[slot] = NIL;
+
+    if (this._tail !== NIL) {
+      this._next[this._tail] = slot;
+    } else {
+      this._head = slot;
+    }
+
+    this._tail = slot;
+  } else {
+    // The entry becomes the head of the list
+    this._previous[slot] = NIL;
+    this._next[slot] = this._head;
+
+    if (this._head !== NIL) {
+      this._previous[this._head] = slot;
+    } else {
+      this._tail = slot;
+    }
+
+    this._head = slot;
+  }
+
+  this._keymap.set(key, slot);
+  this._version++;
+  this.size++;
+  this.calculatedSize += size;
+
+  return slot;
+};
+
+TypedLRUCache.prototype._remove = function(slot, reason) {
+  let key = this._keys[slot], value = this._values[slot];
+  let previous = this._previous[slot], next = this._next[slot];
+
+  // Unlink the slot
+  if (previous !== NIL) {
+    this._next[previous] = next;
+  } else {
+    this._head = next;
+  }
+
+  if (next !== NIL) {
+    this._previous[next] = previous;
+  } else {
+    this._tail = previous;
+  }
+
+  this._keymap.delete(key);
+  this._version++;
+  this.size--;
+
+  if (this._sizes) {
+    this.calculatedSize -= this._sizes[slot];
+  }
+
+  if (this._entryTags && this._entryTags[slot]) {
+    this._untag(slot);
+  }
+
+  // Hand the slot over to the free-list
+  this._keys[slot] = this._values[slot] = undefined;
+  this._previous[slot] = NIL;
+  this._next[slot] = this._free;
+  this._free = slot;
+
+  if (this._stats) {
+    if (reason == 'evict') {
+      this._stats.evictions++;
+    } else if (reason == 'expire') {
+      this._stats.expirations++;
+    } else {
+      this._stats.deletes++;
+    }
+  }
+
+  this._dispose(value, key, reason);
+
+  if (this._events) {
+    this._emit(reason, key, value);
+  }
+};
+
+TypedLRUCache.prototype._dispose = function(value, key, reason) {
+  if (!this.dispose) {
+    return;
+  }
+
+  if (this._held) {
+    this._held.push(() => this.dispose(value, key, reason));
+  } else {
+    this.dispose(value, key, reason);
+  }
+};
+
+// Calls <fn>, holding back the dispose calls and events it causes until it has
+// returned
+TypedLRUCache.prototype._holdCallbacks = function(fn) {
+  if (this._held) {
+    fn();
+    return;
+  }
+
+  let held = this._held = [];
+
+  try {
+    fn();
+  } finally {
+    this._held = undefined;
+  }
+
+  for (let i = 0; i < held.length; i++) {
+    held[i]();
+  }
+};
+
+TypedLRUCache.prototype._markAsUsed = function(slot) {
+  if (slot === this._head) {
+    return;
+  }
+
+  this._version++;
+
+  let previous = this._previous[slot], next = this._next[slot];
+
+  // Take the slot out of the list...
+  this._next[previous] = next;
+
+  if (next !== NIL) {
+    this._previous[next] = previous;
+  } else {
+    this._tail = previous;
+  }
+
+  // ...and put it back in front of the head
+  this._previous[slot] = NIL;
+  this._next[slot] = this._head;
+  this._previous[this._head] = slot;
+  this._head = slot;
+};
+
+TypedLRUCache.prototype._evictToFit = function() {
+  while (this.calculatedSize > this.maxSize) {
+    this.removeLRUItem();
+  }
+};
+
+TypedLRUCache.prototype._entrySize = function(key, value, options) {
+  // Sizes are only tracked when there is a size budget to enforce
+  if (!this.maxSize) {
+    return 0;
+  }
+
+  let size;
+
+  if (options && options.size !== undefined) {
+    size = options.size;
+  } else if (this.sizeCalculation) {
+    size = this.sizeCalculation(value, key);
+  } else {
+    throw new TypeError('a size or sizeCalculation is required when maxSize is set');
+  }
+
+  if (typeof size !== 'number' || !(size >= 0)) {
+    throw new TypeError('size must be a non-negative number');
+  }
+
+  return size;
+};
+
+TypedLRUCache.prototype._setTTL = function(slot, ttl) {
+  if (ttl !== undefined && !this._ttls) {
+    this._ttls = new Float64Array(this.limit).fill(NO_TTL);
+  }
+
+  if (this._ttls) {
+    this._ttls[slot] = ttl !== undefined ? ttl : NO_TTL;
+  }
+};
+
+TypedLRUCache.prototype._tag = function(slot, tags) {
+  if (!this._entryTags) {
+    this._entryTags = new Array(this.limit);
+  }
+
+  let index = this._tags || (this._tags = new Map());
+
+  this._entryTags[slot] = tags;
+
+  for (let i = 0; i < tags.length; i++) {
+    let tagged = index.get(tags[i]);
+
+    if (!tagged) {
+      index.set(tags[i], (tagged = new Set()));
+    }
+
+    tagged.add(slot);
+  }
+};
+
+TypedLRUCache.prototype._untag = function(slot) {
+  let tags = this._entryTags[slot];
+
+  this._entryTags[slot] = undefined;
+
+  for (let i = 0; i < tags.length; i++) {
+    let tagged = this._tags.get(tags[i]);
+
+    tagged.delete(slot);
+
+    if (!tagged.size) {
+      this._tags.delete(tags[i]);
+    }
+  }
+};
+
+TypedLRUCache.prototype._ttlOf = function(slot) {
+  // Entries without a TTL of their own use the lifetime of the cache
+  return this._ttls && this._ttls[slot] !== NO_TTL ? this._ttls[slot] : this.lifetime * 60000;
+};
+
+TypedLRUCache.prototype._isExpired = function(slot, now) {
+  return hasExpired(this._createdAt[slot], this._ttlOf(slot), now);
+};
+
+// Returns all key-value pairs, including expired ones
+TypedLRUCache.prototype._pairs = function() {
+  let pairs = [];
+  for (let slot = this._tail; slot !== NIL; slot = this._previous[slot]) {
+    pairs.push([this._keys[slot], this._values[slot]]);
+  }
+  return pairs;
+};
+
+TypedLRUCache.prototype._entryAt = function(slot) {
+  return slot === NIL ? undefined : { key: this._keys[slot], value: this._values[slot] };
+};
+
+TypedLRUCache.prototype._viewAt = function(slot) {
+  return slot === NIL ? undefined : Object.freeze(this._entryAt(slot));
+};
+
+// Whether an entry created at <createdAt>, for <ttl> milliseconds (zero meaning
+// forever), has expired at <now>
+function hasExpired(createdAt, ttl, now) {
+  return ttl > 0 && now - createdAt > ttl;
+}
+
+function identity(x) {
+  return x;
+}
+
+function newStats() {
+  return {
+    hits        : 0,
+    misses      : 0,
+    sets        : 0,
+    overwrites  : 0,
+    evictions   : 0,
+    expirations : 0,
+    deletes     : 0,
+    rejections  : 0
+  };
+}
+
+function validTags(tags) {
+  if (!Array.isArray(tags)) {
+    throw new TypeError('tags must be an array');
+  }
+  return tags.slice();
+}
+
+function validTTL(ttl) {
+  if (typeof ttl !== 'number' || !(ttl >= 0)) {
+    throw new TypeError('ttl must be a non-negative number of milliseconds');
+  }
+  return ttl;
+}
+
+// Returns a function reading the time (in milliseconds) from the clock option
+function clockOf(clock) {
+  if (clock === undefined) {
+    return wallClock;
+  }
+
+  if (clock === 'monotonic') {
+    if (typeof performance === 'undefined' || typeof performance.now !== 'function') {
+      throw new TypeError('the monotonic clock requires performance.now()');
+    }
+    return monotonicClock;
+  }
+
+  if (typeof clock === 'function') {
+    return clock;
+  }
+
+  if (clock && typeof clock.now === 'function') {
+    return () => clock.now();
+  }
+
+  throw new TypeError("clock must be a function, an object with a now() method or 'monotonic'");
+}
+
+function wallClock() {
+  return new Date().getTime();
+}
+
+function monotonicClock() {
+  return performance.timeOrigin + performance.now();
+}
+
+// Purges <cache> every <interval> milliseconds, as in lru.js: the timer only
+// holds a weak reference to the cache where WeakRef is available
+function startPurging(cache, interval) {
+  let ref = typeof WeakRef == 'function' ? new WeakRef(cache) : undefined;
+  let strong = ref ? undefined : cache;
+
+  let timer = setInterval(() => {
+    let target = ref ? ref.deref() : strong;
+
+    if (target) {
+      target.purgeStale();
+    } else {
+      clearInterval(timer);
+    }
+  }, interval);
+
+  // Do not keep a Node.js process alive just to purge the cache
+  if (timer.unref) {
+    timer.unref();
+  }
+
+  return timer;
+}
+
+// ----------------------------------------------------------------------------
+// Following code is optional and can be removed without breaking the core
+// functionality.
+
+TypedLRUCache.prototype.find = function(key) {
+  let slot = this._keymap.get(key);
+  return slot === undefined ? undefined : this._values[slot];
+};
+
+TypedLRUCache.prototype.peek = function(key) {
+  let slot = this._keymap.get(key);
+  return slot !== undefined && !this._isExpired(slot, this._now()) ? this._values[slot] : undefined;
+};
+
+TypedLRUCache.prototype.stats = function() {
+  let s = this._stats;
+
+  if (!s) {
+    return undefined;
+  }
+
+  let now = this._now();
+  let totalAge = 0;
+
+  for (let slot = this._tail; slot !== NIL; slot = this._previous[slot]) {
+    totalAge += now - this._createdAt[slot];
+  }
+
+  return {
+    hits        : s.hits,
+    misses      : s.misses,
+    sets        : s.sets,
+    overwrites  : s.overwrites,
+    evictions   : s.evictions,
+    expirations : s.expirations,
+    deletes     : s.deletes,
+    rejections  : s.rejections,
+    hitRatio    : s.hits + s.misses ? s.hits / (s.hits + s.misses) : 0,
+    averageAge  : this.size ? totalAge / this.size : 0
+  };
+};
+
+TypedLRUCache.prototype.resetStats = function() {
+  if (this._stats) {
+    this._stats = newStats();
+  }
+};
+
+TypedLRUCache.prototype.on = function(event, listener) {
+  if (!EVENTS.has(event)) {
+    throw new TypeError('unknown event: ' + event);
+  }
+
+  if (typeof listener !== 'function') {
+    throw new TypeError('listener must be a function');
+  }
+
+  let events = this._events || (this._events = new Map());
+  let listeners = events.get(event);
+
+  if (listeners) {
+    listeners.push(listener);
+  } else {
+    events.set(event, [listener]);
+  }
+
+  return this;
+};
+
+TypedLRUCache.prototype.once = function(event, listener) {
+  let cache = this;
+
+  function onceListener() {
+    cache.off(event, onceListener);
+    listener.apply(this, arguments);
+  }
+
+  // Allows off() to be called with the original listener
+  onceListener.listener = listener;
+
+  return this.on(event, onceListener);
+};
+
+TypedLRUCache.prototype.off = function(event, listener) {
+  let listeners = this._events && this._events.get(event);
+
+  if (!listeners) {
+    return this;
+  }
+
+  for (let i = listeners.length - 1; i >= 0; i--) {
+    if (listeners[i] === listener || listeners[i].listener === listener) {
+      listeners.splice(i, 1);
+      break;
+    }
+  }
+
+  // Without any listener left, the cache no longer pays for events
+  if (!listeners.length) {
+    this._events.delete(event);
+
+    if (!this._events.size) {
+      this._events = undefined;
+    }
+  }
+
+  return this;
+};
+
+TypedLRUCache.prototype._emit = function(event) {
+  if (this._held) {
+    let args = arguments;
+    this._held.push(() => this._events && this._emit.apply(this, args));
+    return;
+  }
+
+  let listeners = this._events.get(event);
+
+  if (!listeners) {
+    return;
+  }
+
+  // Listeners added or removed by a listener only take effect on the next event
+  listeners = listeners.slice();
+
+  let args = Array.prototype.slice.call(arguments, 1);
+
+  for (let i = 0; i < listeners.length; i++) {
+    listeners[i].apply(this, args);
+  }
+};
+
+/** Returns a snapshot of the cache, in the format of lru.js */
+TypedLRUCache.prototype.dump = function(options) {
+  let serializeKey   = options && options.serializeKey   || identity;
+  let serializeValue = options && options.serializeValue || identity;
+  let now = this._now();
+  let entries = [];
+
+  for (let slot = skipExpired(this, this._tail, now); slot !== NIL; slot = skipExpired(this, this._previous[slot], now)) {
+    let item = {
+      key       : serializeKey(this._keys[slot]),
+      value     : serializeValue(this._values[slot]),
+      createdAt : this._createdAt[slot]
+    };
+
+    if (this._ttls && this._ttls[slot] !== NO_TTL) {
+      item.ttl = this._ttls[slot];
+    }
+
+    if (this._sizes) {
+      item.size = this._sizes[slot];
+    }
+
+    if (this._entryTags && this._entryTags[slot]) {
+      item.tags = this._entryTags[slot].slice();
+    }
+
+    entries.push(item);
+  }
+
+  return { version: SNAPSHOT_VERSION, entries: entries };
+};
+
+TypedLRUCache.prototype.load = function(snapshot, options) {
+  if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) {
+    throw new TypeError('unsupported snapshot version');
+  }
+
+  let deserializeKey   = options && options.deserializeKey   || identity;
+  let deserializeValue = options && options.deserializeValue || identity;
+  let merge = !!(options && options.merge);
+  let now = this._now();
+
+  // Merged entries only get the room left by the ones already in the cache
+  let limit = this.limit - (merge ? this.size : 0);
+  let maxSize = (this.maxSize || Number.MAX_VALUE) - (merge ? this.calculatedSize : 0);
+  let calculatedSize = 0;
+  let restored = [];
+  let restoredKeys = new Set();
+
+  // Walk from the most recently used entry, so that the oldest ones are the
+  // ones left out when the snapshot does not fit
+  for (let i = snapshot.entries.length - 1; i >= 0 && restored.length < limit; i--) {
+    let item = snapshot.entries[i];
+    let key = deserializeKey(item.key), value = deserializeValue(item.value);
+    let size = this.maxSize && item.size !== undefined ? item.size : this._entrySize(key, value);
+    let ttl = item.ttl !== undefined ? item.ttl : this.lifetime * 60000;
+
+    if (hasExpired(item.createdAt, ttl, now) || restoredKeys.has(key) || (merge && this._keymap.has(key))) {
+      continue;
+    }
+
+    if (calculatedSize + size > maxSize) {
+      break;
+    }
+
+    calculatedSize += size;
+    restored.push([key, value, size, item]);
+    restoredKeys.add(key);
+  }
+
+  if (!merge) {
+    this.clear();
+  }
+
+  // Add the entries behind the least recently used one, from the newest to the
+  // oldest
+  for (let i = 0; i < restored.length; i++) {
+    let item = restored[i][3];
+    let slot = this._insert(restored[i][0], restored[i][1], restored[i][2], item.ttl, item.createdAt, true);
+
+    if (item.tags) {
+      this._tag(slot, validTags(item.tags));
+    }
+  }
+
+  return this.size;
+};
+
+TypedLRUCache.prototype.invalidateTag = function(tag) {
+  let tagged = this._tags && this._tags.get(tag);
+
+  if (!tagged) {
+    return 0;
+  }
+
+  // Removing the entries updates the tag index, so work on a copy
+  let slots = Array.from(tagged);
+
+  this._holdCallbacks(() => {
+    for (let i = 0; i < slots.length; i++) {
+      this._remove(slots[i], 'delete');
+    }
+  });
+
+  return slots.length;
+};
+
+TypedLRUCache.prototype.deleteWhere = function(predicate) {
+  let now = this._now();
+  let deleted = 0;
+
+  this._holdCallbacks(() => {
+    for (let slot = skipExpired(this, this._tail, now); slot !== NIL; ) {
+      let newer = skipExpired(this, this._previous[slot], now);
+      let tags = this._entryTags && this._entryTags[slot];
+      let meta = {
+        createdAt : this._createdAt[slot],
+        ttl       : this._ttlOf(slot),
+        size      : this._sizes ? this._sizes[slot] : 0,
+        tags      : tags ? tags.slice() : []
+      };
+
+      if (predicate(this._values[slot], this._keys[slot], meta)) {
+        this._remove(slot, 'delete');
+        deleted++;
+      }
+
+      slot = newer;
+    }
+  });
+
+  return deleted;
+};
+
+TypedLRUCache.prototype.setMany = function(entries, options) {
+  for (let [key, value] of entries) {
+    // Each entry gets its own copy of the options
+    this.set(key, value, options && Object.assign({}, options));
+  }
+
+  return this;
+};
+
+TypedLRUCache.prototype.getMany = function(keys) {
+  let hits = new Map();
+  let misses = [];
+
+  for (let key of keys) {
+    let value = this._get(key);
+
+    if (value === MISSING) {
+      misses.push(key);
+    } else {
+      hits.set(key, value);
+    }
+  }
+
+  return { hits: hits, misses: misses };
+};
+
+TypedLRUCache.prototype.deleteMany = function(keys) {
+  let now = this._now();
+  let deleted = 0;
+
+  for (let key of keys) {
+    let slot = this._keymap.get(key);
+
+    // Expired entries are removed as well, but not counted
+    if (slot !== undefined) {
+      if (!this._isExpired(slot, now)) {
+        deleted++;
+      }
+      this.delete(key);
+    }
+  }
+
+  return deleted;
+};
+
+/**
+ * Calls <fn> with the cache, and returns what it returns, as lru.js does. If
+ * <fn> throws, the cache is put back as it was, and the dispose calls and
+ * events it caused are dropped. Starting a transaction copies the arrays up to
+ * the last slot in use.
+ */
+TypedLRUCache.prototype.transaction = function(fn) {
+  let outer = this._transaction;
+  let transaction = this._transaction = {
+    saved    : saveSlots(this),
+    inflight : new Map(this._inflight),
+    stats    : this._stats && Object.assign({}, this._stats),
+    start    : outer ? this._held.length : 0
+  };
+  let result;
+
+  // Side effects wait for the outermost transaction to complete
+  if (!outer) {
+    this._held = [];
+  }
+
+  try {
+    result = fn(this);
+
+    if (result && typeof result.then === 'function') {
+      throw new TypeError('a transaction cannot be asynchronous');
+    }
+  } catch (err) {
+    this._transaction = outer;
+    restoreSlots(this, transaction);
+
+    if (!outer) {
+      this._held = undefined;
+    }
+    throw err;
+  }
+
+  this._transaction = outer;
+
+  // A nested transaction takes effect with the outer one
+  if (outer) {
+    return result;
+  }
+
+  let held = this._held;
+  this._held = undefined;
+
+  for (let i = 0; i < held.length; i++) {
+    held[i]();
+  }
+
+  return result;
+};
+
+TypedLRUCache.prototype.fetch = function(key, options) {
+  if (!this.fetchMethod) {
+    return Promise.reject(new TypeError('fetch requires a fetchMethod'));
+  }
+
+  let slot = this._keymap.get(key);
+
+  if (slot !== undefined && !this._isExpired(slot, this._now())) {
+    return Promise.resolve(this.get(key));
+  }
+
+  if (this._stats) {
+    this._stats.misses++;
+  }
+
+  if (this._events) {
+    this._emit('miss', key);
+  }
+
+  // Concurrent fetches of the same key share a single request
+  let fetching = this._inflight.get(key);
+
+  if (!fetching) {
+    fetching = this._startFetch(key, slot !== undefined ? this._values[slot] : undefined);
+  }
+
+  return waitForFetch(fetching, options && options.signal);
+};
+
+TypedLRUCache.prototype._startFetch = function(key, staleValue) {
+  let controller = typeof AbortController == 'function' ? new AbortController() : undefined;
+  let context = {
+    signal  : controller && controller.signal,
+    options : {} // set() options for the fetched value, e.g. a ttl
+  };
+  let fetching = { waiting: 0, promise: undefined, abort: undefined };
+
+  // False once the key has been set, deleted or cleared since the fetch started
+  let current = () => this._inflight.get(key) === fetching;
+
+  let done = () => {
+    if (current()) {
+      this._inflight.delete(key);
+    }
+  };
+
+  fetching.abort = () => {
+    done();
+    if (controller) {
+      controller.abort();
+    }
+  };
+
+  fetching.promise = new Promise(resolve => {
+    resolve(this.fetchMethod(key, staleValue, context));
+  }).then(value => {
+    let superseded = !current();
+    done();
+
+    if (context.signal && context.signal.aborted) {
+      throw abortReason(context.signal);
+    }
+
+    if (value !== undefined && !superseded) {
+      this.set(key, value, context.options);
+    }
+
+    return value;
+  }, err => {
+    // Nothing is cached on failure, so the next fetch will try again
+    if (!current()) {
+      throw err;
+    }
+    done();
+
+    // The stale value is dropped as well
+    let slot = this._keymap.get(key);
+
+    if (slot !== undefined && this._isExpired(slot, this._now())) {
+      this._remove(slot, 'expire');
+    }
+
+    throw err;
+  });
+
+  this._inflight.set(key, fetching);
+
+  return fetching;
+};
+
+/** The least recently used entry that has not expired, as a read-only { key, value } object */
+Object.defineProperty(TypedLRUCache.prototype, 'oldest', {
+  get: function() {
+    return this._viewAt(skipExpired(this, this._tail, this._now()));
+  }
+});
+
+/** The most recently used entry that has not expired, as a read-only { key, value } object */
+Object.defineProperty(TypedLRUCache.prototype, 'newest', {
+  get: function() {
+    return this._viewAt(skipExpired(this, this._head, this._now(), this._next));
+  }
+});
+
+TypedLRUCache.prototype.keys = function() {
+  return new SlotIterator(this, slot => this._keys[slot]);
+};
+
+TypedLRUCache.prototype.values = function() {
+  return new SlotIterator(this, slot => this._values[slot]);
+};
+
+TypedLRUCache.prototype.entries = function() {
+  return this;
+};
+
+TypedLRUCache.prototype[Symbol.iterator] = function() {
+  return new SlotIterator(this, slot => [this._keys[slot], this._values[slot]]);
+};
+
+/** Like keys(), starting with the most recently used entry */
+TypedLRUCache.prototype.rkeys = function() {
+  return new SlotIterator(this, slot => this._keys[slot], true);
+};
+
+/** Like values(), starting with the most recently used entry */
+TypedLRUCache.prototype.rvalues = function() {
+  return new SlotIterator(this, slot => this._values[slot], true);
+};
+
+/** Like entries(), starting with the most recently used entry */
+TypedLRUCache.prototype.rentries = function() {
+  return new SlotIterator(this, slot => [this._keys[slot], this._values[slot]], true);
+};
+
+/**
+ * Returns the [key, value] pairs of the entries ranked from <start> up to
+ * <end> (excluded) by recency, as lru.js does: rank 0 is the most recently
+ * used entry, and negative ranks count back from the least recently used one.
+ */
+TypedLRUCache.prototype.slice = function(start = 0, end = Infinity) {
+  if (start < 0 || end < 0) {
+    return Array.from(this.rentries()).slice(start, end);
+  }
+
+  let result = [];
+  let it = this.rentries();
+
+  for (let rank = 0; rank < end; rank++) {
+    let item = it.next();
+    if (item.done) {
+      break;
+    }
+    if (rank >= start) {
+      result.push(item.value);
+    }
+  }
+
+  return result;
+};
+
+TypedLRUCache.prototype.forEach = function(fun, thisObj) {
+  if (typeof thisObj !== 'object') {
+    thisObj = this;
+  }
+  let now = this._now();
+  let version = this._version;
+  let slot = skipExpired(this, this._tail, now);
+  while (slot !== NIL) {
+    fun.call(thisObj, this._values[slot], this._keys[slot], this);
+    checkUnmodified(this, version);
+    slot = skipExpired(this, this._previous[slot], now);
+  }
+};
+
+/** Returns a JSON (array) representation */
+TypedLRUCache.prototype.toJSON = function(withDate = false) {
+  let output = [];
+  let now = this._now();
+
+  for (let slot = skipExpired(this, this._tail, now); slot !== NIL; slot = skipExpired(this, this._previous[slot], now)) {
+    let item = { key: this._keys[slot], value: this._values[slot] };
+
+    if (withDate) {
+      item.created_at = new Date(this._createdAt[slot]).toLocaleString();
+    }
+
+    output.push(item);
+  }
+
+  return output;
+};
+
+/** Returns a read-only view of the cache, as lru.js does */
+TypedLRUCache.prototype.readonly = function() {
+  return readonlyView(this);
+};
+
+/** Returns a String representation */
+TypedLRUCache.prototype.toString = function(withDate = false) {
+  let output = [];
+
+  for (let slot = this._tail; slot !== NIL; slot = this._previous[slot]) {
+    let entryString = String(this._keys[slot]) + ':' + this._values[slot];
+
+    if (withDate) {
+      entryString += ' (' + new Date(this._createdAt[slot]).toLocaleString() + ')';
+    }
+
+    output.push(entryString);
+  }
+
+  return output.join(' < ');
+};
+
+// Methods of a read-only view that would change the cache
+const MUTATORS = ['set', 'delete', 'clear', 'assign', 'removeLRUItem', 'purgeStale', 'load', 'invalidateTag', 'deleteWhere'];
+
+// Properties of the cache readable through a read-only view
+const READABLE = ['size', 'limit', 'maxSize', 'calculatedSize', 'lifetime', 'oldest', 'newest'];
+
+function readonlyView(cache) {
+  let view = {
+    // Unlike has() on the cache, does not remove an expired entry
+    has: (key) => {
+      let slot = cache._keymap.get(key);
+      return slot !== undefined && !cache._isExpired(slot, cache._now());
+    },
+    find: (key) => cache.find(key),
+    peek: (key) => cache.peek(key),
+    getRemainingTTL: (key) => cache.getRemainingTTL(key),
+    keys: () => readonlyIterator(cache.keys()),
+    values: () => readonlyIterator(cache.values()),
+    entries: () => readonlyIterator(cache[Symbol.iterator]()),
+    rkeys: () => readonlyIterator(cache.rkeys()),
+    rvalues: () => readonlyIterator(cache.rvalues()),
+    rentries: () => readonlyIterator(cache.rentries()),
+    slice: (start, end) => cache.slice(start, end),
+    forEach: (fun, thisObj) => {
+      cache.forEach(function(value, key) {
+        fun.call(this, value, key, view);
+      }, typeof thisObj === 'object' ? thisObj : view);
+    },
+    toJSON: (withDate) => cache.toJSON(withDate),
+    toString: (withDate) => cache.toString(withDate),
+    [Symbol.iterator]: () => readonlyIterator(cache[Symbol.iterator]()),
+  };
+
+  READABLE.forEach(name => {
+    Object.defineProperty(view, name, { get: () => cache[name], enumerable: true });
+  });
+
+  MUTATORS.forEach(name => {
+    view[name] = () => {
+      throw new TypeError('the cache is read-only');
+    };
+  });
+
+  return Object.freeze(view);
+}
+
+// Iterators of the cache give access to it, so the view only hands out their
+// next() method
+function readonlyIterator(iterator) {
+  return {
+    next: () => iterator.next(),
+    [Symbol.iterator]() { return this; },
+  };
+}
+
+// Copies the slots of <cache> that have been used, with the fields a
+// transaction may change
+function saveSlots(cache) {
+  let used = cache._used;
+
+  return {
+    keys           : cache._keys.slice(0, used),
+    values         : cache._values.slice(0, used),
+    previous       : cache._previous.slice(0, used),
+    next           : cache._next.slice(0, used),
+    createdAt      : cache._createdAt.slice(0, used),
+    ttls           : cache._ttls && cache._ttls.slice(0, used),
+    sizes          : cache._sizes && cache._sizes.slice(0, used),
+    entryTags      : cache._entryTags && cache._entryTags.slice(0, used),
+    head           : cache._head,
+    tail           : cache._tail,
+    free           : cache._free,
+    used           : used,
+    size           : cache.size,
+    calculatedSize : cache.calculatedSize
+  };
+}
+
+// Puts back the slots saved when <transaction> started, dropping its side
+// effects
+function restoreSlots(cache, transaction) {
+  let saved = transaction.saved;
+  let used = saved.used;
+
+  // Slots first used by the transaction are unused again
+  cache._keys.fill(undefined, used, cache._used);
+  cache._values.fill(undefined, used, cache._used);
+  cache._previous.fill(NIL, used, cache._used);
+  cache._next.fill(NIL, used, cache._used);
+
+  for (let slot = 0; slot < used; slot++) {
+    cache._keys[slot] = saved.keys[slot];
+    cache._values[slot] = saved.values[slot];
+  }
+
+  cache._previous.set(saved.previous);
+  cache._next.set(saved.next);
+  cache._createdAt.set(saved.createdAt);
+
+  if (saved.ttls) {
+    cache._ttls.set(saved.ttls);
+  } else {
+    cache._ttls = undefined;
+  }
+
+  if (saved.sizes) {
+    cache._sizes.set(saved.sizes);
+  }
+
+  cache._head = saved.head;
+  cache._tail = saved.tail;
+  cache._free = saved.free;
+  cache._used = used;
+  cache.size = saved.size;
+  cache.calculatedSize = saved.calculatedSize;
+  cache._version++;
+
+  // Index the entries again
+  cache._keymap.clear();
+  cache._tags = undefined;
+  cache._entryTags = undefined;
+
+  for (let slot = cache._tail; slot !== NIL; slot = cache._previous[slot]) {
+    cache._keymap.set(cache._keys[slot], slot);
+
+    if (saved.entryTags && saved.entryTags[slot]) {
+      cache._tag(slot, saved.entryTags[slot]);
+    }
+  }
+
+  // Fetches started by the transaction no longer fill the cache, and those it
+  // dropped do again
+  cache._inflight.clear();
+  transaction.inflight.forEach((fetching, key) => cache._inflight.set(key, fetching));
+
+  if (transaction.stats) {
+    Object.assign(cache._stats, transaction.stats);
+  }
+
+  cache._held.length = transaction.start;
+}
+
+// Returns a promise for the result of <fetching>, which rejects as soon as
+// <signal> is aborted. The fetch itself is aborted once nobody waits for it.
+function waitForFetch(fetching, signal) {
+  fetching.waiting++;
+
+  if (!signal) {
+    return fetching.promise;
+  }
+
+  if (signal.aborted) {
+    giveUpFetch(fetching);
+    return Promise.reject(abortReason(signal));
+  }
+
+  return new Promise((resolve, reject) => {
+    let onAbort = () => {
+      giveUpFetch(fetching);
+      reject(abortReason(signal));
+    };
+
+    signal.addEventListener('abort', onAbort);
+
+    fetching.promise.then(resolve, reject).then(() => {
+      signal.removeEventListener('abort', onAbort);
+    });
+  });
+}
+
+function giveUpFetch(fetching) {
+  if (--fetching.waiting == 0) {
+    fetching.abort();
+  }
+}
+
+function abortReason(signal) {
+  if (signal.reason !== undefined) {
+    return signal.reason;
+  }
+
+  let err = new Error('This operation was aborted');
+  err.name = 'AbortError';
+  return err;
+}
+
+// Returns <slot> or the first slot after it whose entry has not expired,
+// following <links>: the previous slots lead to newer entries, the next ones to
+// older entries
+function skipExpired(cache, slot, now, links = cache._previous) {
+  while (slot !== NIL && cache._isExpired(slot, now)) {
+    slot = links[slot];
+  }
+  return slot;
+}
+
+// Walking a cache that has been modified could skip entries or visit them twice
+function checkUnmodified(cache, version) {
+  if (cache._version !== version) {
+    throw new Error('the cache was modified during iteration');
+  }
+}
+
+// Walks the entries from the oldest to the newest, or with <reverse>, from the
+// newest to the oldest, mapping each slot to a result
+function SlotIterator(cache, map, reverse) {
+  this.cache = cache;
+  this.map = map;
+  this.links = reverse ? cache._next : cache._previous;
+  this.version = cache._version;
+  this.now = cache._now();
+  this.slot = reverse ? cache._head : cache._tail;
+}
+SlotIterator.prototype[Symbol.iterator] = function() { return this; };
+SlotIterator.prototype.next = function() {
+  if (this.slot !== NIL) {
+    checkUnmodified(this.cache, this.version);
+  }
+  let slot = this.slot = skipExpired(this.cache, this.slot, this.now, this.links);
+  if (slot !== NIL) {
+    this.slot = this.links[slot];
+    return { done: false, value: this.map(slot) };
+  } else {
+    return { done: true, value: undefined };
+  }
+};
+
+});
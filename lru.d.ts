@@ -1,73 +1,586 @@
+// Statistics returned by `stats`.
+export interface CacheStats {
+  hits        :number; // lookups (`get`, `fetch`) that found a value
+  misses      :number; // lookups that did not
+  sets        :number; // calls to `set`, including overwrites
+  overwrites  :number; // calls to `set` for a key already in the cache
+  evictions   :number; // entries removed by `removeLRUItem`
+  expirations :number; // expired entries removed
+  deletes     :number; // entries removed by `delete`
+  rejections  :number; // new keys turned away by the `admission` filter
+  hitRatio    :number; // hits / (hits + misses), or 0 before any lookup
+  averageAge  :number; // average age of the entries in milliseconds
+}
+
+// A snapshot of the cache contents produced by `dump`.
+export interface CacheSnapshot {
+  version :number;
+
+  // The entries in LRU order, starting with the oldest.
+  entries :Array<{
+    key       :any;
+    value     :any;
+    createdAt :number;  // epoch milliseconds
+    ttl?      :number;  // the lifetime of the entry, if it has one of its own
+    size?     :number;  // the size of the entry, if the cache has a maxSize
+    tags?     :any[];   // the tags of the entry, if it has any
+  }>;
+}
+
+// Settings accepted by `dump`.
+export interface DumpOptions<K,V> {
+  // Convert keys and values into something that survives JSON encoding.
+  serializeKey? :(key :K) => any;
+  serializeValue? :(value :V) => any;
+}
+
+// Settings accepted by `load`: the reverse of `DumpOptions`.
+export interface LoadOptions<K,V> {
+  deserializeKey? :(key :any) => K;
+  deserializeValue? :(value :any) => V;
+
+  // Keep the entries already in the cache, as the most recently used ones, and
+  // add those of the snapshot behind them, for the keys not in the cache.
+  merge? :boolean;
+}
+
+// Settings accepted by the `CachePool` constructor.
+export interface CachePoolOptions<V> {
+  // The maximum number of entries of all caches together. Zero means no limit.
+  limit? :number;
+
+  // The maximum total size of the entries of all caches together. Zero means
+  // no limit.
+  maxSize? :number;
+
+  // The default `sizeCalculation` of the caches, when `maxSize` is set.
+  sizeCalculation? :(value :V, key :any) => number;
+}
+
+// Settings accepted by `CachePool.cache`: those of `LRUCache`, plus quotas.
+export interface PartitionOptions<K,V> extends LRUCacheOptions<K,V> {
+  // This many entries of the cache are never evicted to make room in others.
+  min? :number;
+
+  // The cache never holds more entries than this. Zero means no quota.
+  max? :number;
+}
+
+// Named caches sharing one budget. When the pool is over budget, the least
+// recently used entry of all its caches is evicted.
+export class CachePool<V = any> {
+  constructor(options? :CachePoolOptions<V>);
+
+  // The budget of the pool.
+  limit :number;
+  maxSize :number;
+
+  // The number of entries and their total size, for all caches together.
+  readonly size :number;
+  readonly calculatedSize :number;
+
+  // Returns the cache called `name`, creating it with `options` on first use.
+  cache<K>(name :string, options? :PartitionOptions<K,V>) : LRUCache<K,V>;
+
+  // Returns the names of the caches, in order of creation.
+  names() : string[];
+
+  // Clears the cache called `name` and removes it from the pool. Returns false
+  // if there is no such cache.
+  delete(name :string) : boolean;
+
+  // Clears all caches.
+  clear() : void;
+}
+
+// Settings accepted by `memoize`: those of `LRUCache`, plus these.
+export interface MemoizeOptions<V> extends LRUCacheOptions<any,V> {
+  // The maximum number of results to keep. Zero (the default) means no limit.
+  limit? :number;
+
+  // How long (in minutes) a result is kept. Zero (the default) means forever.
+  lifetime? :number;
+
+  // Returns the cache key for the arguments of a call. By default, a single
+  // number, boolean, null or undefined argument is the key itself, and other
+  // arguments are encoded into a string, with the properties of objects sorted.
+  keyResolver? :(...args :any[]) => any;
+}
+
+// A function returned by `memoize`.
+export type MemoizedFunction<F extends (...args :any[]) => any> = F & {
+  // The cache holding the results, by key.
+  cache :LRUCache<any, ReturnType<F>>;
+
+  // Forgets all results.
+  clear() : void;
+
+  // Forgets the result for these arguments. Returns false if there was none.
+  delete(...args :any[]) : boolean;
+};
+
+// Returns a function calling `fn` only for arguments it has not seen recently,
+// and otherwise returning the result of the earlier call. Promises are cached
+// too, and removed from the cache if they reject.
+export function memoize<F extends (...args :any[]) => any>(fn :F, options? :MemoizeOptions<ReturnType<F>>) : MemoizedFunction<F>;
+
+// A clock for tests, which only moves when told to.
+export class FakeClock {
+  // Starts at `time` (in milliseconds), or at the current time.
+  constructor(time? :number);
+
+  // The current time of the clock, in milliseconds.
+  time :number;
+
+  // Returns the current time of the clock.
+  now() : number;
+
+  // Moves the clock forward by `ms` milliseconds and returns the new time.
+  advance(ms :number) : number;
+}
+
+// A view of a cache returned by `readonly`. Reads do not register recent use,
+// renew the age of entries or remove expired ones. The methods that would
+// change the cache throw a TypeError.
+export interface ReadonlyLRUCache<K,V> {
+  // Current number of items, including expired ones not yet removed.
+  readonly size :number;
+
+  // Settings of the cache.
+  readonly limit :number;
+  readonly maxSize :number;
+  readonly calculatedSize :number;
+  readonly lifetime :number;
+
+  // Least and most recently-used entries that have not expired.
+  readonly oldest :Readonly<Entry<K,V>> | undefined;
+  readonly newest :Readonly<Entry<K,V>> | undefined;
+
+  // Check if there's a value for key that has not expired.
+  has(key :K) : boolean;
+
+  // As for LRUCache.
+  find(key :K) : V | undefined;
+  peek(key :K) : V | undefined;
+  getRemainingTTL(key :K) : number;
+  keys() : IterableIterator<K>;
+  values() : IterableIterator<V>;
+  entries() : IterableIterator<[K,V]>;
+  [Symbol.iterator]() : IterableIterator<[K,V]>;
+  rkeys() : IterableIterator<K>;
+  rvalues() : IterableIterator<V>;
+  rentries() : IterableIterator<[K,V]>;
+  slice(start? :number, end? :number) : Array<[K,V]>;
+  forEach(fun :(value :V, key :K, m :ReadonlyLRUCache<K,V>)=>void, thisArg? :any) : void;
+  toJSON(withDate? :boolean) : Array<{key :K, value :V}>;
+  toString(withDate? :boolean) : string;
+}
+
+// Thrown by `get` when the key is not in the cache (unless `throwOnMiss` is false).
+export class NotFoundError extends Error {
+  // The key that was not found
+  key :any;
+}
+
+// Thrown when entries do not fit within `limit` or `maxSize`.
+export class OverflowError extends Error {
+}
+
 // An entry holds the key and value, and pointers to any older and newer entries.
 interface Entry<K,V> {
   key   :K;
   value :V;
 }
 
+// Why a value left the cache: evicted to make room, expired, deleted, replaced
+// by `set` (or `assign`), or removed by `clear` (or `assign`).
+export type DisposeReason = 'evict' | 'expire' | 'delete' | 'set' | 'clear';
+
+// Names of the built-in eviction policies.
+export type PolicyName = 'lru' | 'lfu' | 'slru' | '2q' | 'arc';
+
+// An eviction policy decides which entry to evict. It is told about every entry
+// that enters the cache, is used in it or leaves it.
+export interface EvictionPolicy<K,V> {
+  // A new entry was set, once room has been made for it.
+  add(entry :Entry<K,V>) : void;
+
+  // An entry was read or set again.
+  touch(entry :Entry<K,V>) : void;
+
+  // An entry was deleted or has expired.
+  delete(entry :Entry<K,V>) : void;
+
+  // Remove and return the entry to evict. Only called when the cache is not empty.
+  evict() : Entry<K,V>;
+
+  // All entries were removed.
+  clear() : void;
+
+  // Return a copy of the bookkeeping of the policy, and go back to it when a
+  // transaction is rolled back. Without them, the policy is cleared and told
+  // about the entries again.
+  save?() : any;
+  restore?(saved :any) : void;
+}
+
+export interface EvictionPolicyConstructor {
+  new <K,V>(cache :LRUCache<K,V>) : EvictionPolicy<K,V>;
+}
+
+// The built-in eviction policies other than 'lru'.
+export const policies :{ [name :string] :EvictionPolicyConstructor };
+
+// Events whose listeners are called with the key and value of an entry.
+export type EntryEvent = 'set' | 'hit' | 'evict' | 'expire' | 'delete';
+
+// Additional settings that can be passed as the last constructor argument.
+export interface LRUCacheOptions<K,V> {
+  // The maximum total size of all entries. When set, `set` evicts the least
+  // recently used entries until the total size fits. Zero disables it.
+  maxSize? :number;
+
+  // Computes the size of an entry when `set` is not given an explicit size.
+  sizeCalculation? :(value :V, key :K) => number;
+
+  // The default lifetime of an entry in milliseconds. Overrides `lifetime`.
+  ttl? :number;
+
+  // If set, expired entries are purged every `purgeInterval` milliseconds. The
+  // timer does not keep a Node.js process alive, nor the cache where WeakRef is
+  // available; elsewhere, call `stopPurging` once done with the cache. See
+  // `purgeStale`.
+  purgeInterval? :number;
+
+  // Called whenever a value leaves the cache, while the operation that removed
+  // it is still in progress.
+  dispose? :(value :V, key :K, reason :DisposeReason) => void;
+
+  // Like `dispose`, but called once the operation that removed the value has
+  // completed and the cache is in a consistent state.
+  disposeAfter? :(value :V, key :K, reason :DisposeReason) => void;
+
+  // Loads the value for a key that is missing from the cache (see `fetch`).
+  // `staleValue` is the expired value for the key, if the cache still holds one.
+  // Returning undefined leaves the cache unchanged.
+  fetchMethod? :(key :K, staleValue :V | undefined, context :FetchContext) => V | undefined | Promise<V | undefined>;
+
+  // If true, `get` returns an expired value once, removing it, instead of failing.
+  allowStale? :boolean;
+
+  // For this many milliseconds after an entry expires, `get` and `fetch` return
+  // its stale value while it is refreshed with `fetchMethod` in the background.
+  staleWhileRevalidate? :number;
+
+  // For this many milliseconds after an entry expires, its stale value is kept
+  // and returned by `fetch` when refreshing it fails.
+  staleIfError? :number;
+
+  // If false, overwriting an entry with `set` keeps its age, so that it expires
+  // as if it had not been overwritten. A new `ttl` given to `set` still
+  // applies. Defaults to true.
+  updateAgeOnSet? :boolean;
+
+  // If true, hits of `get` and `fetch` reset the age of the entry (sliding
+  // expiration).
+  updateAgeOnGet? :boolean;
+
+  // If true, `has` resets the age of the entries it finds.
+  updateAgeOnHas? :boolean;
+
+  // If true, overwriting an entry with `set` keeps its age and lifetime,
+  // ignoring the `ttl` given to `set`. Expired entries start anew.
+  noUpdateTTL? :boolean;
+
+  // If false, `get` returns undefined for missing keys instead of throwing a
+  // NotFoundError, like Map does. Defaults to true.
+  throwOnMiss? :boolean;
+
+  // If true, the cache keeps statistics on its use (see `stats`).
+  stats? :boolean;
+
+  // Which entry to evict when the cache is full. Defaults to 'lru'.
+  policy? :PolicyName | EvictionPolicyConstructor;
+
+  // 'tinylfu' makes `set` turn away a new key when the cache is full, unless
+  // the key has been used more often than the entry it would evict. Use
+  // frequencies are estimated in a fixed amount of memory. The value of a key
+  // turned away is passed to `dispose` with the reason 'evict'. Requires a
+  // `limit` and the 'lru' policy.
+  admission? :'tinylfu';
+
+  // A slower store behind the cache. Evicted entries are moved there, and
+  // `fetch` looks there for missing entries before calling `fetchMethod`.
+  // Deleted and expired entries are removed from it.
+  secondary? :SecondaryStore<K,V>;
+
+  // 'write-through' (the default) writes every `set` to the secondary store
+  // right away. 'write-back' only writes entries when they are evicted or
+  // `flush` is called.
+  writeMode? :'write-through' | 'write-back';
+
+  // Where expiry reads the time from: a function returning the time in
+  // milliseconds, an object with such a `now` method (like a `FakeClock`), or
+  // 'monotonic' for `performance.now()`, which is not affected by changes of
+  // the system time. Defaults to `Date`.
+  clock? :(() => number) | { now() :number } | 'monotonic';
+}
+
+// Per-entry settings accepted by `set`.
+export interface SetOptions {
+  // The size of this entry, counted against `maxSize`.
+  size? :number;
+
+  // The lifetime of this entry in milliseconds, overriding the default lifetime.
+  // Zero means the entry does not expire.
+  ttl? :number;
+
+  // Tags to invalidate the entry by (see `invalidateTag`). Setting the key
+  // again replaces them.
+  tags? :any[];
+}
+
+// Passed to the predicate of `deleteWhere`.
+export interface EntryMeta {
+  createdAt :number; // epoch milliseconds
+  ttl       :number; // the lifetime of the entry in milliseconds, or 0
+  size      :number; // the size of the entry, or 0 without a maxSize
+  tags      :any[];  // the tags of the entry
+}
+
+// Passed to `fetchMethod`.
+export interface FetchContext {
+  // Aborted once every caller waiting for this fetch has aborted.
+  signal? :AbortSignal;
+
+  // The settings used to `set` the fetched value. `fetchMethod` may fill these
+  // in, e.g. with a `ttl` taken from the response.
+  options :SetOptions;
+}
+
+// What a secondary store keeps for each key.
+export interface SecondaryRecord<V> {
+  value     :V;
+  createdAt :number; // epoch milliseconds
+  ttl?      :number; // the lifetime of the entry, if it has one of its own
+}
+
+// A slower store behind the cache (see `LRUCacheOptions.secondary`).
+export interface SecondaryStore<K,V> {
+  get(key :K) : Promise<SecondaryRecord<V> | undefined>;
+  set(key :K, record :SecondaryRecord<V>) : Promise<void>;
+  delete(key :K) : Promise<void>;
+}
+
+// Settings accepted by `fetch`.
+export interface FetchOptions {
+  // Aborting this signal rejects the promise returned by `fetch`.
+  signal? :AbortSignal;
+}
+
 export class LRUCache<K,V> {
   // Construct a new cache object which will hold up to limit entries.
   // When the size == limit, a `put` operation will evict the oldest entry.
   //
   // The `lifetime` is the maximum lifetime that a cache entry is considered valid.
-  // It is expressed in minutes. If we set it to zero, the entries do not expire.
+  // It is expressed in minutes (fractions are allowed). If we set it to zero, the
+  // entries do not expire.
   //
   // If `entries` is provided, all entries are added to the new map.
   // `entries` should be an Array or other iterable object whose elements are
   // key-value pairs (2-element Arrays). Each key-value pair is added to the new Map.
   // null is treated as undefined.
-  constructor(lifetime :number, limit :number, entries? :Iterable<[K,V]>);
+  constructor(lifetime :number, limit :number, entries? :Iterable<[K,V]>, options? :LRUCacheOptions<K,V>);
+  constructor(lifetime :number, limit :number, options :LRUCacheOptions<K,V>);
 
   // Convenience constructor equivalent to `new LRUCache(count(entries), entries)`
-  constructor(lifetime :number, entries :Iterable<[K,V]>);
+  constructor(lifetime :number, entries :Iterable<[K,V]>, options? :LRUCacheOptions<K,V>);
 
   // Current number of items
   size :number;
 
-  // Maximum number of items this map can hold
+  // Maximum number of items this map can hold. Zero means no limit.
   limit :number;
 
-  // Least recently-used entry. Invalidated when map is modified.
-  oldest :Entry<K,V>;
+  // Maximum total size of the items this map can hold. Zero means no limit.
+  maxSize :number;
+
+  // Total size of the items currently in the map. Always zero when `maxSize`
+  // is not set.
+  calculatedSize :number;
+
+  // Disposal callbacks given to the constructor, if any.
+  dispose? :(value :V, key :K, reason :DisposeReason) => void;
+  disposeAfter? :(value :V, key :K, reason :DisposeReason) => void;
+
+  // Loader given to the constructor, if any.
+  fetchMethod? :(key :K, staleValue :V | undefined, context :FetchContext) => V | undefined | Promise<V | undefined>;
+
+  // Secondary store and write mode given to the constructor, if any.
+  secondary? :SecondaryStore<K,V>;
+  writeMode :'write-through' | 'write-back';
+
+  // Stale value settings given to the constructor (see LRUCacheOptions).
+  allowStale :boolean;
+  staleWhileRevalidate :number;
+  staleIfError :number;
 
-  // Most recently-used entry. Invalidated when map is modified.
-  newest :Entry<K,V>;
+  // Whether `get` throws a NotFoundError for missing keys.
+  throwOnMiss :boolean;
+
+  // Age renewal settings given to the constructor (see LRUCacheOptions).
+  updateAgeOnSet :boolean;
+  updateAgeOnGet :boolean;
+  updateAgeOnHas :boolean;
+  noUpdateTTL :boolean;
+
+  // Least recently-used entry that has not expired, as a read-only copy of its
+  // key and value. Undefined if the cache is empty.
+  readonly oldest :Readonly<Entry<K,V>> | undefined;
+
+  // Most recently-used entry that has not expired, as a read-only copy of its
+  // key and value. Undefined if the cache is empty.
+  readonly newest :Readonly<Entry<K,V>> | undefined;
 
   // Replace all values in this map with key-value pairs (2-element Arrays) from
-  // provided iterable.
-  assign(entries :Iterable<[K,V]>) : void;
+  // provided iterable. A key given more than once gets its last value. With
+  // 'replace' (the default), an OverflowError is thrown if the entries do not
+  // fit, leaving the cache unchanged. 'fit' leaves out the first entries until
+  // the rest fit, and 'merge' sets the entries on top of the current ones,
+  // evicting as `set` does. Listeners are told of a 'clear' event followed by a
+  // 'set' event for each entry (or, with 'merge', of the events of `set`).
+  assign(entries :Iterable<[K,V]>, mode? :'replace' | 'merge' | 'fit') : void;
 
   // Put <value> into the cache associated with <key>. Replaces any existing entry
-  // with the same key. Returns `this`.
-  set(key :K, value :V) : LRUCache<K,V>;
+  // with the same key. Returns `this`. When `maxSize` is set, the size of the entry
+  // is taken from `options.size` or `sizeCalculation`, and an entry larger than
+  // `maxSize` is rejected with an error. `options.ttl` gives the entry a lifetime
+  // (in milliseconds) of its own, overriding the lifetime of the cache.
+  set(key :K, value :V, options? :SetOptions) : LRUCache<K,V>;
 
-  // Purge the least recently used (oldest) entry from the cache.
+  // Purge the entry picked by the eviction policy from the cache: the least
+  // recently used (oldest) one, unless another `policy` was given.
   // Returns the removed entry or undefined if the cache was empty.
   removeLRUItem() : [K,V] | undefined;
 
   // Get and register recent use of <key>.
   // It will returns the value associated with <key>, if the key exists and the entry
-  // is not expired. Otherwise, it will throw an error. For that reason, you should
-  // always check, in advance, if a valid key exists by using the has() method.
+  // is not expired. Otherwise, it will throw a NotFoundError. For that reason, you
+  // should always check, in advance, if a valid key exists by using the has() method.
+  // When the cache was constructed with `throwOnMiss: false`, it returns undefined
+  // instead.
   get(key :K) : V;
 
   // Check if there's a value for key in the cache without registering recent use.
-  // If the key refers to an expired entry, the entry will be removed and the returned
-  // value will be false.
+  // If the key refers to an expired entry, the entry will be removed (unless its
+  // stale value may still be served) and the returned value will be false.
   has(key :K) : boolean;
 
+  // Returns the time (in milliseconds) left before the entry for <key> expires,
+  // Infinity if it never expires, or 0 if it is not in the cache or has expired.
+  getRemainingTTL(key :K) : number;
+
   // Access value for <key> without registering recent use or removing expired entry.
   // Useful if you do not want to chage the state of the map, but only "peek" at it.
   // Returns the value associated with <key> if found, or undefined if not found.
   find(key :K) : V | undefined;
 
+  // Access value for <key> without registering recent use or removing an expired
+  // entry. Unlike `find`, returns undefined if the entry has expired.
+  peek(key :K) : V | undefined;
+
+  // Returns statistics on the use of the cache since it was created or since
+  // `resetStats` was last called, or undefined unless the cache was constructed
+  // with `stats: true`.
+  stats() : CacheStats | undefined;
+
+  // Reset the counters returned by `stats`.
+  resetStats() : void;
+
+  // Call `listener` whenever an entry is set, read (hit), evicted, found to be
+  // expired or deleted, a key is missing (miss), or the cache is cleared.
+  // Listeners are called once the cache is consistent again.
+  on(event :EntryEvent, listener :(key :K, value :V) => void) : this;
+  on(event :'miss', listener :(key :K) => void) : this;
+  on(event :'clear', listener :() => void) : this;
+
+  // Like `on`, but the listener is removed after its first call.
+  once(event :EntryEvent, listener :(key :K, value :V) => void) : this;
+  once(event :'miss', listener :(key :K) => void) : this;
+  once(event :'clear', listener :() => void) : this;
+
+  // Remove a listener added with `on` or `once`.
+  off(event :EntryEvent, listener :(key :K, value :V) => void) : this;
+  off(event :'miss', listener :(key :K) => void) : this;
+  off(event :'clear', listener :() => void) : this;
+
+  // Write the entries that are not in the secondary store yet (with
+  // 'write-back') and wait for all writes to the store to complete. Rejects
+  // with the error of a write that has failed since the last call.
+  flush() : Promise<void>;
+
+  // Delete all entries tagged with `tag`. Returns the number of entries deleted.
+  invalidateTag(tag :any) : number;
+
+  // Delete all entries for which `predicate` returns true. Returns the number
+  // of entries deleted.
+  deleteWhere(predicate :(value :V, key :K, meta :EntryMeta) => boolean) : number;
+
+  // Put each [key, value] pair into the cache with `set`, each with a copy of
+  // `options`. An error leaves the pairs set before it in the cache, unless
+  // called within `transaction`.
+  setMany(entries :Iterable<[K,V]>, options? :SetOptions) : LRUCache<K,V>;
+
+  // Get the values for `keys` as `get` would, registering their use. Returns
+  // the values found by key, and the keys that were not found, in order.
+  getMany(keys :Iterable<K>) : { hits :Map<K,V>, misses :K[] };
+
+  // Remove the entries for `keys`. Returns the number of entries removed,
+  // not counting expired ones.
+  deleteMany(keys :Iterable<K>) : number;
+
+  // Call `fn` with the cache and return its result. If `fn` throws, the cache
+  // is restored to its previous contents and order, along with the state of
+  // its eviction policy, admission filter and fetches under way. Events, dispose calls,
+  // writes to the secondary store and evictions from other caches of a pool
+  // only happen once `fn` has returned. `fn` must be synchronous.
+  transaction<T>(fn :(cache :LRUCache<K,V>) => T) : T;
+
+  // Returns a snapshot of the cache that can be JSON encoded and passed to `load`,
+  // e.g. after a restart. Expired entries are left out.
+  dump(options? :DumpOptions<K,V>) : CacheSnapshot;
+
+  // Replace all entries with those of a snapshot produced by `dump`, keeping
+  // their recency order, age and lifetime, or with `merge`, add them behind
+  // the current entries. Expired entries are dropped, as are the oldest
+  // entries if the snapshot does not fit. Returns the number of entries in the
+  // cache.
+  load(snapshot :CacheSnapshot, options? :LoadOptions<K,V>) : number;
+
+  // Resolve with the value for <key>, loading it from the secondary store or
+  // with `fetchMethod` (and adding it to the cache) if it is missing or expired.
+  // Concurrent fetches of the same key share a single call to `fetchMethod`. A
+  // failed fetch leaves the cache unchanged, as does one that completes after
+  // the key has been set, deleted or cleared.
+  fetch(key :K, options? :FetchOptions) : Promise<V | undefined>;
+
   // Remove entry <key> from cache and return its value.
   // Returns the removed value, or undefined if not found.
   delete(key :K) : V | undefined;
 
+  // Remove all expired entries. Returns the number of entries removed.
+  purgeStale() : number;
+
+  // Stop the timer started by the `purgeInterval` option.
+  stopPurging() : void;
+
   // Removes all entries
   clear() : void;
 
-  // Returns an iterator over all keys, starting with the oldest.
+  // Returns an iterator over all keys, starting with the oldest. Expired entries
+  // are skipped by this and the other iteration methods. Iterators throw an
+  // Error when the cache has been modified (or its order changed, e.g. by `get`)
+  // since they were created.
   keys() : Iterator<K>;
 
   // Returns an iterator over all values, starting with the oldest.
@@ -79,7 +592,18 @@ export class LRUCache<K,V> {
   // Returns an iterator over all entries, starting with the oldest.
   [Symbol.iterator]() : Iterator<[K,V]>;
 
-  // Call `fun` for each entry, starting with the oldest entry.
+  // Like `keys`, `values` and `entries`, starting with the newest.
+  rkeys() : IterableIterator<K>;
+  rvalues() : IterableIterator<V>;
+  rentries() : IterableIterator<[K,V]>;
+
+  // Returns the entries ranked from `start` up to `end` (excluded) by recency:
+  // rank 0 is the most recently used entry. As with `Array.slice`, negative
+  // ranks count back from the least recently used entry. Does not register use.
+  slice(start? :number, end? :number) : Array<[K,V]>;
+
+  // Call `fun` for each entry, starting with the oldest entry. Throws if `fun`
+  // modifies the cache.
   forEach(fun :(value :V, key :K, m :LRUCache<K,V>)=>void, thisArg? :any) : void;
 
   // Returns an object suitable for JSON encoding. The withDate parameter defines
@@ -91,4 +615,7 @@ export class LRUCache<K,V> {
   // whether the entry creation date will be included in the representation. It 
   // defaults to false.
   toString(withDate? :boolean) : string;
+
+  // Returns a view for code that should read the cache but not change it.
+  readonly() : ReadonlyLRUCache<K,V>;
 }
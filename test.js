@@ -2,8 +2,81 @@
 // $ node test.js
 // (Might work with other CommonJS-compatible environments)
 const assert = require('assert');
-const LRUCache = require('./lru').LRUCache;
+const v8 = require('v8');
+const vm = require('vm');
+const lru = require('./lru');
+const LRUCache = lru.LRUCache;
+const FakeClock = lru.FakeClock;
+const TypedLRUCache = require('./lru-typed').TypedLRUCache;
+const stores = require('./lru-stores');
+const shared = require('./lru-shared');
+const persist = require('./lru-persist');
 const asserteq = assert.equal;
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Lets pending promise callbacks run
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+// Stand-ins for browser storage, refusing to store more than <quota> characters
+const quotaExceeded = () => Object.assign(new Error('quota exceeded'), { name: 'QuotaExceededError' });
+
+function fakeStorage(quota) {
+  let items = new Map();
+  return {
+    items: items,
+    getItem: key => items.has(key) ? items.get(key) : null,
+    setItem: (key, value) => {
+      if (quota && value.length > quota) {
+        throw quotaExceeded();
+      }
+      items.set(key, String(value));
+    },
+    removeItem: key => items.delete(key),
+  };
+}
+
+// Stands in for the structured clone of IndexedDB, as structuredClone() is
+// missing from older versions of Node.js
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function fakeIndexedDB(quota) {
+  let records = new Map();
+  let db = {
+    createObjectStore: () => {},
+    close: () => {},
+    transaction: () => {
+      let transaction = {};
+      transaction.objectStore = () => ({
+        get: key => {
+          let req = {};
+          setImmediate(() => { req.result = clone(records.get(key)); req.onsuccess(); });
+          return req;
+        },
+        put: (value, key) => setImmediate(() => {
+          if (quota && JSON.stringify(value).length > quota) {
+            transaction.error = quotaExceeded();
+            transaction.onabort();
+          } else {
+            records.set(key, clone(value));
+            transaction.oncomplete();
+          }
+        }),
+      });
+      return transaction;
+    },
+  };
+  return {
+    records: records,
+    open: () => {
+      let req = { result: db };
+      setImmediate(() => { req.onupgradeneeded(); req.onsuccess(); });
+      return req;
+    },
+    setQuota: size => { quota = size; },
+  };
+}
 const tests = {
 
 ['set and get']() {
@@ -130,6 +203,58 @@ assign() {
   asserteq(c.limit, 4);
 },
 
+['assign modes']() {
+  let disposed = [];
+  let c = new LRUCache(0, 3, [['a', 1], ['b', 2]], {
+    dispose: (value, key, reason) => disposed.push(key + ':' + reason),
+  });
+
+  // A failed assign() leaves the cache as it was
+  assert.throws(() => { c.assign([['w', 0], ['x', 1], ['y', 2], ['z', 3]]); }, lru.OverflowError);
+  assert.throws(() => { c.assign([['x', 1], 'y']); }, TypeError);
+  assert.throws(() => { c.assign([], 'append'); }, TypeError);
+  assert.deepEqual(Array.from(c.entries()), [['a', 1], ['b', 2]]);
+  asserteq(c.tail.key, 'a');
+  asserteq(c.head.key, 'b');
+  assert.deepEqual(disposed, []);
+
+  // A key given twice gets its last value
+  c.assign([['x', 1], ['y', 2], ['x', 3]], 'replace');
+  assert.deepEqual(Array.from(c.entries()), [['x', 3], ['y', 2]]);
+  asserteq(c.size, 2);
+  assert.deepEqual(disposed, ['a:clear', 'b:clear']);
+
+  // Assigning nothing empties the cache
+  c.assign([]);
+  asserteq(c.size, 0);
+  asserteq(c.tail, undefined);
+  asserteq(c.head, undefined);
+
+  // 'merge' sets the entries on top of the current ones
+  c.assign([['a', 1], ['b', 2]]);
+  disposed = [];
+  c.assign([['c', 3], ['a', 10], ['d', 4]], 'merge');
+  assert.deepEqual(Array.from(c.entries()), [['c', 3], ['a', 10], ['d', 4]]);
+  assert.deepEqual(disposed, ['a:set', 'b:evict']);
+
+  // 'fit' keeps the last entries that fit
+  disposed = [];
+  c.assign([['v', 0], ['w', 1], ['a', 10], ['x', 2], ['y', 3]], 'fit');
+  assert.deepEqual(Array.from(c.entries()), [['a', 10], ['x', 2], ['y', 3]]);
+  assert.deepEqual(disposed, ['c:clear', 'd:clear']);
+
+  let sized = new LRUCache(0, 10, { maxSize: 5, sizeCalculation: (value) => value });
+  sized.assign([['a', 1], ['b', 2]]);
+  sized.assign([['c', 4], ['d', 2], ['e', 3]], 'fit');
+  assert.deepEqual(Array.from(sized.keys()), ['d', 'e']);
+  asserteq(sized.calculatedSize, 5);
+
+  // A bad size in 'merge' leaves the cache alone
+  assert.throws(() => { sized.assign([['f', 1], ['g', 6]], 'merge'); }, lru.OverflowError);
+  assert.throws(() => { sized.assign([['f', 1], ['g', -1]], 'merge'); }, TypeError);
+  assert.deepEqual(Array.from(sized.keys()), ['d', 'e']);
+},
+
 delete() {
   let c = new LRUCache(0, [
     ['adam',   29],
@@ -215,6 +340,2253 @@ set() {
   c.forEach(function(){ assert(false) });
 },
 
+maxSize() {
+  let c = new LRUCache(0, 0, {
+    maxSize: 10,
+    sizeCalculation: (value) => value.length,
+  });
+  asserteq(c.maxSize, 10);
+  asserteq(c.calculatedSize, 0);
+
+  c.set('a', 'aaa')
+   .set('b', 'bbb')
+   .set('c', 'cc', { size: 4 });
+  asserteq(c.calculatedSize, 10);
+  asserteq(c.size, 3);
+
+  // Going over the budget evicts from the tail until the new entry fits
+  c.set('d', 'dddd');
+  asserteq(c.toString(), 'c:cc < d:dddd');
+  asserteq(c.calculatedSize, 8);
+
+  // Growing an existing entry counts the difference only
+  c.set('c', 'cccccc');
+  asserteq(c.toString(), 'd:dddd < c:cccccc');
+  asserteq(c.calculatedSize, 10);
+  c.set('c', 'ccccccc');
+  asserteq(c.toString(), 'c:ccccccc');
+  asserteq(c.calculatedSize, 7);
+
+  // An entry larger than the whole budget is rejected
+  assert.throws(() => {
+    c.set('e', 'eeeeeeeeeee');
+  }, /overflow/);
+  asserteq(c.toString(), 'c:ccccccc');
+
+  c.delete('c');
+  asserteq(c.calculatedSize, 0);
+
+  // A size is required when there is no sizeCalculation
+  let c2 = new LRUCache(0, 0, { maxSize: 10 });
+  assert.throws(() => { c2.set('a', 1); }, TypeError);
+  c2.set('a', 1, { size: 6 });
+  assert.throws(() => {
+    c2.assign([['a', 1], ['b', 2]]);
+  }, TypeError);
+
+  // Size and entry count limits apply together
+  let c3 = new LRUCache(0, 2, [['a', 'a'], ['b', 'b']], {
+    maxSize: 10,
+    sizeCalculation: (value) => value.length,
+  });
+  asserteq(c3.calculatedSize, 2);
+  c3.set('c', 'c');
+  asserteq(c3.toString(), 'b:b < c:c');
+  c3.clear();
+  asserteq(c3.calculatedSize, 0);
+},
+
+ttl() {
+  // The default lifetime can be given in milliseconds
+  let clock = new FakeClock();
+  let c = new LRUCache(0, 4, { ttl: 40, clock: clock });
+  asserteq(c.lifetime, 40 / 60000);
+
+  c.set('a', 1);
+  c.set('b', 2, { ttl: 10 });
+  c.set('c', 3, { ttl: 0 });
+  asserteq(c.getRemainingTTL('a'), 40);
+  asserteq(c.getRemainingTTL('b'), 10);
+  asserteq(c.getRemainingTTL('c'), Infinity);
+  asserteq(c.getRemainingTTL('x'), 0);
+
+  assert.throws(() => { c.set('d', 4, { ttl: -1 }); }, TypeError);
+
+  clock.advance(10);
+  asserteq(c.getRemainingTTL('b'), 10 - 10);
+  assert(c.has('b'));
+  clock.advance(1);
+  asserteq(c.getRemainingTTL('b'), 0);
+  assert(!c.has('b'));
+  assert(c.has('a'));
+
+  clock.advance(30);
+  assert(!c.has('a'));
+  assert(c.has('c'));
+  asserteq(c.size, 1);
+
+  // Per-entry lifetimes also apply when the cache has no default lifetime
+  let c2 = new LRUCache(0, 4, { clock: clock });
+  c2.set('a', 1, { ttl: 10 });
+  c2.set('b', 2);
+  asserteq(c2.getRemainingTTL('b'), Infinity);
+  clock.advance(20);
+  assert(!c2.has('a'));
+  assert(c2.has('b'));
+},
+
+purgeStale() {
+  let clock = new FakeClock();
+  let c = new LRUCache(0, 4, { clock: clock });
+  c.set('a', 1, { ttl: 10 });
+  c.set('b', 2);
+  c.set('c', 3, { ttl: 10 });
+  c.set('d', 4);
+  clock.advance(20);
+
+  // Iteration skips expired entries without removing them
+  assert.deepEqual(Array.from(c.keys()), ['b', 'd']);
+  assert.deepEqual(Array.from(c.values()), [2, 4]);
+  assert.deepEqual(Array.from(c), [['b', 2], ['d', 4]]);
+  assert.deepEqual(c.toJSON(), [{key:'b', value:2}, {key:'d', value:4}]);
+  let keys = [];
+  c.forEach((v, k) => keys.push(k));
+  assert.deepEqual(keys, ['b', 'd']);
+  asserteq(c.size, 4);
+
+  asserteq(c.purgeStale(), 2);
+  asserteq(c.size, 2);
+  asserteq(c.toString(), 'b:2 < d:4');
+  asserteq(c.purgeStale(), 0);
+
+  // Purging periodically (the timer itself runs in real time)
+  let c2 = new LRUCache(0, 4, { purgeInterval: 5, clock: clock });
+  c2.set('a', 1, { ttl: 5 });
+  c2.set('b', 2);
+  clock.advance(10);
+
+  return sleep(20).then(() => {
+    c2.stopPurging();
+    asserteq(c2.size, 1);
+    asserteq(c2.find('a'), undefined);
+  });
+},
+
+['purge timer does not keep the cache alive']() {
+  // Without WeakRef, the timer has to hold on to the cache
+  if (typeof WeakRef != 'function') {
+    return;
+  }
+
+  v8.setFlagsFromString('--expose-gc');
+  let gc = vm.runInNewContext('gc');
+  let cleared = [];
+  let clearInterval = global.clearInterval;
+  global.clearInterval = timer => { cleared.push(timer); clearInterval(timer); };
+
+  let timer;
+  let ref = (() => {
+    let c = new LRUCache(0, 4, { purgeInterval: 1 });
+    timer = c._purgeTimer;
+    return new WeakRef(c);
+  })();
+
+  return sleep(5).then(() => {
+    gc();
+    return sleep(10);
+  }).then(() => {
+    global.clearInterval = clearInterval;
+    asserteq(ref.deref(), undefined);
+    assert.deepEqual(cleared, [timer]);
+  }, err => {
+    global.clearInterval = clearInterval;
+    throw err;
+  });
+},
+
+dispose() {
+  let disposed = [];
+  let clock = new FakeClock();
+  let c = new LRUCache(0, 3, [['a', 1], ['b', 2], ['c', 3]], {
+    dispose: (value, key, reason) => disposed.push([key, value, reason]),
+    clock: clock,
+  });
+
+  c.set('d', 4);                  // evicts a
+  c.set('b', 20);                 // replaces 2
+  c.set('b', 20);                 // same value, nothing to dispose
+  c.delete('c');
+  c.removeLRUItem();              // evicts d
+  assert.deepEqual(disposed, [
+    ['a', 1, 'evict'],
+    ['b', 2, 'set'],
+    ['c', 3, 'delete'],
+    ['d', 4, 'evict'],
+  ]);
+
+  disposed = [];
+  c.set('e', 5);
+  c.assign([['b', 20], ['e', 50], ['f', 6]]);
+  assert.deepEqual(disposed, [['e', 5, 'set']]);
+
+  disposed = [];
+  c.clear();
+  assert.deepEqual(disposed, [
+    ['b', 20, 'clear'],
+    ['e', 50, 'clear'],
+    ['f', 6, 'clear'],
+  ]);
+
+  disposed = [];
+  c.set('g', 7, { ttl: 10 });
+  c.set('h', 8, { ttl: 10 });
+  clock.advance(20);
+  assert(!c.has('g'));
+  c.purgeStale();
+  assert.deepEqual(disposed, [['g', 7, 'expire'], ['h', 8, 'expire']]);
+},
+
+disposeAfter() {
+  let events = [];
+  let c = new LRUCache(0, 2, {
+    dispose: (value, key, reason) => {
+      events.push('dispose ' + key);
+    },
+    disposeAfter: (value, key, reason) => {
+      // The cache is consistent by the time disposeAfter is called
+      assert(!c.has(key));
+      asserteq(c.size, c._keymap.size);
+      events.push('disposeAfter ' + key + ' ' + reason);
+
+      // ...and it may even be modified from here
+      if (key == 'a') {
+        c.set('x', 0);
+      }
+    },
+  });
+
+  c.set('a', 1).set('b', 2).set('c', 3);
+  assert.deepEqual(events, [
+    'dispose a',
+    'disposeAfter a evict',
+    'dispose b',
+    'disposeAfter b evict',
+  ]);
+  asserteq(c.toString(), 'c:3 < x:0');
+},
+
+fetch() {
+  let calls = [];
+  let clock = new FakeClock();
+  let c = new LRUCache(0, 4, {
+    clock: clock,
+    fetchMethod: (key, staleValue, { signal, options }) => {
+      calls.push([key, staleValue]);
+      if (key == 'short') {
+        options.ttl = 10;
+      }
+      return sleep(5).then(() => key == 'bad' ? Promise.reject(new Error('failed')) : key.length);
+    },
+  });
+
+  // Concurrent fetches of the same key share a single request
+  let p1 = c.fetch('abc');
+  let p2 = c.fetch('abc');
+  return Promise.all([p1, p2]).then(values => {
+    assert.deepEqual(values, [3, 3]);
+    assert.deepEqual(calls, [['abc', undefined]]);
+    asserteq(c.get('abc'), 3);
+
+    // Cached values are served without calling fetchMethod
+    return c.fetch('abc');
+  }).then(value => {
+    asserteq(value, 3);
+    asserteq(calls.length, 1);
+
+    // A failed fetch is not cached and is tried again next time
+    return c.fetch('bad').then(() => assert(false), err => {
+      asserteq(err.message, 'failed');
+      assert(!c.has('bad'));
+      return c.fetch('bad').catch(() => {});
+    });
+  }).then(() => {
+    asserteq(calls.length, 3);
+
+    // fetchMethod gets the stale value and may choose the TTL
+    calls = [];
+    return c.fetch('short');
+  }).then(() => {
+    asserteq(c.getRemainingTTL('short'), 10);
+    clock.advance(20);
+    return c.fetch('short');
+  }).then(() => {
+    assert.deepEqual(calls, [['short', undefined], ['short', 5]]);
+
+    // Without a fetchMethod
+    return new LRUCache(0, 4).fetch('a').then(() => assert(false), err => {
+      assert(err instanceof TypeError);
+    });
+  });
+},
+
+['fetch does not overwrite later changes']() {
+  let resolvers = [];
+  let c = new LRUCache(0, 4, {
+    fetchMethod: (key) => new Promise(resolve => resolvers.push(() => resolve(key + ':fetched'))),
+  });
+
+  let p1 = c.fetch('a');
+  c.set('a', 'newer');
+  let p2 = c.fetch('b');
+  c.delete('b');
+  let p3 = c.fetch('c');
+  c.clear();
+  c.set('d', 'kept');
+  resolvers.forEach(resolve => resolve());
+
+  return Promise.all([p1, p2, p3]).then(values => {
+    // Callers still get the fetched values, which are not cached
+    assert.deepEqual(values, ['a:fetched', 'b:fetched', 'c:fetched']);
+    assert.deepEqual(Array.from(c.entries()), [['d', 'kept']]);
+
+    // A later fetch starts anew
+    let p4 = c.fetch('b');
+    resolvers[3]();
+    return p4;
+  }).then(() => {
+    asserteq(c.get('b'), 'b:fetched');
+  });
+},
+
+['fetch abort']() {
+  let signals = [];
+  let c = new LRUCache(0, 4, {
+    fetchMethod: (key, staleValue, { signal }) => {
+      signals.push(signal);
+      return sleep(10).then(() => key);
+    },
+  });
+
+  // The request is aborted once every caller has aborted
+  let ac1 = new AbortController();
+  let ac2 = new AbortController();
+  let p1 = c.fetch('a', { signal: ac1.signal });
+  let p2 = c.fetch('a', { signal: ac2.signal });
+  ac1.abort();
+  assert(!signals[0].aborted);
+  ac2.abort();
+  assert(signals[0].aborted);
+
+  return Promise.all([
+    p1.then(() => assert(false), err => asserteq(err.name, 'AbortError')),
+    p2.then(() => assert(false), err => asserteq(err.name, 'AbortError')),
+  ]).then(() => sleep(20)).then(() => {
+    // The result of an aborted request is not cached
+    assert(!c.has('a'));
+
+    // Callers that do not abort still get the value
+    let ac = new AbortController();
+    let p1 = c.fetch('b', { signal: ac.signal });
+    let p2 = c.fetch('b');
+    ac.abort();
+    assert(!signals[1].aborted);
+    return Promise.all([p1.catch(err => err.name), p2]);
+  }).then(values => {
+    assert.deepEqual(values, ['AbortError', 'b']);
+    asserteq(c.get('b'), 'b');
+  });
+},
+
+allowStale() {
+  let disposed = [];
+  let clock = new FakeClock();
+  let c = new LRUCache(0, 4, {
+    allowStale: true,
+    dispose: (value, key, reason) => disposed.push([key, reason]),
+    clock: clock,
+  });
+  c.set('a', 1, { ttl: 10 });
+  clock.advance(20);
+
+  // The stale entry is kept, so that get() can serve it once
+  assert(!c.has('a'));
+  asserteq(c.size, 1);
+  asserteq(c.get('a'), 1);
+  asserteq(c.size, 0);
+  assert.deepEqual(disposed, [['a', 'expire']]);
+  assert.throws(() => { c.get('a'); }, /notFound/);
+},
+
+staleWhileRevalidate() {
+  let version = 0;
+  let fail = false;
+  let clock = new FakeClock();
+  let c = new LRUCache(0, 4, {
+    ttl: 10,
+    staleWhileRevalidate: 30,
+    clock: clock,
+    fetchMethod: (key) => tick().then(() => {
+      if (fail) {
+        throw new Error('failed');
+      }
+      return key + ++version;
+    }),
+  });
+
+  return c.fetch('a').then(value => {
+    asserteq(value, 'a1');
+    clock.advance(15);
+
+    // Within the window the stale value is served while it is refreshed
+    assert(!c.has('a'));
+    asserteq(c.get('a'), 'a1');
+    return c.fetch('a');
+  }).then(value => {
+    asserteq(value, 'a1');
+    return tick();
+  }).then(() => {
+    asserteq(version, 2);
+    asserteq(c.get('a'), 'a2');
+    clock.advance(15);
+
+    // A failed refresh drops the stale value
+    fail = true;
+    asserteq(c.get('a'), 'a2');
+    return tick();
+  }).then(() => {
+    assert(!c.find('a'));
+
+    // Past the window the entry is gone
+    fail = false;
+    return c.fetch('b');
+  }).then(() => {
+    clock.advance(50);
+    assert(!c.has('b'));
+    asserteq(c.size, 0);
+    assert.throws(() => { c.get('b'); }, /notFound/);
+  });
+},
+
+staleIfError() {
+  let fail = false;
+  let clock = new FakeClock();
+  let c = new LRUCache(0, 4, {
+    ttl: 10,
+    staleIfError: 40,
+    clock: clock,
+    fetchMethod: (key) => fail ? Promise.reject(new Error('failed')) : key,
+  });
+
+  return c.fetch('a').then(() => {
+    fail = true;
+    clock.advance(20);
+
+    // The stale value is served when the refresh fails...
+    return c.fetch('a');
+  }).then(value => {
+    asserteq(value, 'a');
+    asserteq(c.size, 1);
+    clock.advance(40);
+
+    // ...but only within the window
+    return c.fetch('a').then(() => assert(false), err => {
+      asserteq(err.message, 'failed');
+      asserteq(c.size, 0);
+    });
+  });
+},
+
+errors() {
+  let c = new LRUCache(0, 2);
+  try {
+    c.get('a');
+    assert(false);
+  } catch (err) {
+    assert(err instanceof lru.NotFoundError);
+    assert(err instanceof Error);
+    asserteq(err.name, 'NotFoundError');
+    asserteq(err.key, 'a');
+  }
+
+  assert.throws(() => {
+    c.assign([['a', 1], ['b', 2], ['c', 3]]);
+  }, lru.OverflowError);
+
+  let c2 = new LRUCache(0, 0, { maxSize: 1 });
+  assert.throws(() => {
+    c2.set('a', 1, { size: 2 });
+  }, lru.OverflowError);
+},
+
+throwOnMiss() {
+  let clock = new FakeClock();
+  let c = new LRUCache(0, 2, { throwOnMiss: false, clock: clock });
+  asserteq(c.throwOnMiss, false);
+  asserteq(c.get('a'), undefined);
+  c.set('a', 1);
+  asserteq(c.get('a'), 1);
+
+  c.set('b', 2, { ttl: 10 });
+  clock.advance(20);
+  asserteq(c.get('b'), undefined);
+  asserteq(c.size, 1);
+},
+
+peek() {
+  let clock = new FakeClock();
+  let c = new LRUCache(0, 3, [['a', 1], ['b', 2]], { clock: clock });
+  c.set('c', 3, { ttl: 10 });
+
+  // peek() does not register recent use
+  asserteq(c.peek('a'), 1);
+  asserteq(c.toString(), 'a:1 < b:2 < c:3');
+  asserteq(c.peek('x'), undefined);
+
+  // peek() honours expiry, but does not remove the entry
+  clock.advance(20);
+  asserteq(c.peek('c'), undefined);
+  asserteq(c.find('c'), 3);
+  asserteq(c.size, 3);
+},
+
+stats() {
+  asserteq(new LRUCache(0, 2).stats(), undefined);
+
+  let clock = new FakeClock();
+  let c = new LRUCache(0, 2, { stats: true, throwOnMiss: false, clock: clock });
+  c.set('a', 1).set('b', 2).set('a', 3).set('c', 4, { ttl: 10 }); // evicts b
+  c.get('a');
+  c.get('b');
+  c.get('x');
+  c.delete('a');
+
+  let stats = c.stats();
+  asserteq(stats.hits, 1);
+  asserteq(stats.misses, 2);
+  asserteq(stats.sets, 4);
+  asserteq(stats.overwrites, 1);
+  asserteq(stats.evictions, 1);
+  asserteq(stats.deletes, 1);
+  asserteq(stats.expirations, 0);
+  asserteq(stats.hitRatio, 1 / 3);
+
+  clock.advance(20);
+  assert(!c.has('c'));
+  stats = c.stats();
+  asserteq(stats.expirations, 1);
+  asserteq(stats.averageAge, 0);
+
+  c.set('d', 5);
+  clock.advance(10);
+  asserteq(c.stats().averageAge, 10);
+
+  c.resetStats();
+  stats = c.stats();
+  asserteq(stats.hits, 0);
+  asserteq(stats.sets, 0);
+  asserteq(stats.hitRatio, 0);
+},
+
+['dump and load']() {
+  let clock = new FakeClock();
+  let c = new LRUCache(0, 4, { clock: clock });
+  c.set('a', new Date(1000))
+   .set('b', new Date(2000), { ttl: 1000 })
+   .set('c', new Date(3000), { ttl: 10 })
+   .set('d', new Date(4000));
+  c.get('a');
+
+  let snapshot = c.dump();
+  asserteq(snapshot.version, 1);
+  assert.deepEqual(snapshot.entries.map(e => e.key), ['b', 'c', 'd', 'a']);
+  asserteq(typeof snapshot.entries[0].createdAt, 'number');
+  asserteq(snapshot.entries[0].ttl, 1000);
+  asserteq(snapshot.entries[2].ttl, undefined);
+
+  // Round-trip through JSON, converting the dates
+  let json = JSON.stringify(c.dump({ serializeValue: (d) => d.getTime() }));
+  let c2 = new LRUCache(0, 4, { clock: clock });
+  c2.set('x', 1);
+  asserteq(c2.load(JSON.parse(json), { deserializeValue: (t) => new Date(t) }), 4);
+  assert.deepEqual(Array.from(c2.keys()), ['b', 'c', 'd', 'a']);
+  assert(c2.get('d') instanceof Date);
+  asserteq(c2.get('d').getTime(), 4000);
+  assert(!c2.has('x'));
+  asserteq(c2.dump().entries[0].createdAt, snapshot.entries[0].createdAt);
+  asserteq(c2.getRemainingTTL('b'), 1000);
+
+  // Only the most recent entries are loaded when the snapshot does not fit
+  let c3 = new LRUCache(0, 2);
+  asserteq(c3.load(snapshot), 2);
+  assert.deepEqual(Array.from(c3.keys()), ['d', 'a']);
+
+  assert.throws(() => { c3.load({ version: 99, entries: [] }); }, TypeError);
+
+  // Entries that expired in the meantime are dropped
+  clock.advance(20);
+  let c4 = new LRUCache(0, 4, { clock: clock });
+  asserteq(c4.load(snapshot), 3);
+  assert.deepEqual(Array.from(c4.keys()), ['b', 'd', 'a']);
+  asserteq(c4.size, 3);
+  asserteq(c4.getRemainingTTL('b'), 980);
+
+  // Merged, the snapshot goes behind the current entries, which are left alone
+  let disposed = [];
+  let c5 = new LRUCache(0, 4, { clock: clock, dispose: (value, key, reason) => disposed.push(key + ':' + reason) });
+  c5.set('d', 'mine').set('x', 1).on('clear', () => disposed.push('clear'));
+  asserteq(c5.load(snapshot, { merge: true }), 4);
+  assert.deepEqual(Array.from(c5.keys()), ['b', 'a', 'd', 'x']);
+  asserteq(c5.get('d'), 'mine');
+  assert.deepEqual(disposed, []);
+  c5.removeLRUItem();
+  asserteq(c5.tail.key, 'a');
+},
+
+['events']() {
+  let clock = new FakeClock();
+  let c = new LRUCache(0, 2, { throwOnMiss: false, clock: clock });
+  let log = [];
+  let record = (event) => (...args) => { log.push([event].concat(args)); };
+  let onEvict = record('evict');
+
+  asserteq(c._events, undefined);
+
+  ['set', 'hit', 'miss', 'expire', 'delete', 'clear'].forEach(event => c.on(event, record(event)));
+  c.on('evict', onEvict);
+  c.once('miss', record('first miss'));
+
+  c.set('a', 1).set('b', 2);
+  c.get('a');
+  c.get('x');
+  c.get('y');
+  c.set('c', 3);     // evicts b
+  c.delete('a');
+  c.set('d', 4, { ttl: 1 });
+  c.off('evict', onEvict);
+  c.set('e', 5);     // evicts c, not recorded
+  c.clear();
+
+  assert.deepEqual(log, [
+    ['set', 'a', 1],
+    ['set', 'b', 2],
+    ['hit', 'a', 1],
+    ['miss', 'x'],
+    ['first miss', 'x'],
+    ['miss', 'y'],
+    ['evict', 'b', 2],
+    ['set', 'c', 3],
+    ['delete', 'a', 1],
+    ['set', 'd', 4],
+    ['set', 'e', 5],
+    ['clear']
+  ]);
+
+  assert.throws(() => { c.on('nope', () => {}); }, TypeError);
+  assert.throws(() => { c.on('set'); }, TypeError);
+
+  log = [];
+  c.set('f', 6, { ttl: 1 });
+  clock.advance(10);
+  asserteq(c.has('f'), false);
+  assert.deepEqual(log, [['set', 'f', 6], ['expire', 'f', 6]]);
+},
+
+['events fire once the cache is consistent']() {
+  let c = new LRUCache(0, 2, { policy: 'lfu' });
+  let fail = () => { throw new Error('listener failed'); };
+  c.set('a', 1).set('b', 2);
+
+  c.on('set', fail);
+  assert.throws(() => { c.set('c', 3); }, /listener failed/);
+  asserteq(c.size, 2);
+  asserteq(c.has('c'), true);
+  c.off('set', fail);
+
+  // The policy has kept track of the entries
+  c.set('d', 4).set('e', 5);
+  asserteq(c.size, 2);
+  asserteq(c.has('e'), true);
+
+  let disposed = [];
+  let c2 = new LRUCache(0, 2, [['a', 1], ['b', 2]], { dispose: (value, key) => disposed.push(key) });
+  c2.on('evict', fail).on('delete', fail);
+  assert.throws(() => { c2.set('c', 3); }, /listener failed/);
+  assert.throws(() => { c2.delete('b'); }, /listener failed/);
+  assert.deepEqual(Array.from(c2.keys()), ['c']);
+  asserteq(c2.size, 1);
+  assert.deepEqual(disposed, ['a', 'b']);
+},
+
+['evict listeners can read the new entry']() {
+  for (let policy of ['lru', 'lfu', 'slru', '2q', 'arc']) {
+    let c = new LRUCache(0, 2, { policy: policy, throwOnMiss: false });
+    let read = [];
+    c.on('evict', () => read.push(c.get('c')));
+    c.set('a', 1).set('b', 2).get('a');
+    c.set('c', 3);
+    assert.deepEqual(read, [3], policy);
+
+    read = [];
+    c.on('evict', () => { c.get('f'); c.get('g'); c.get('h'); });
+    c.set('f', 6).get('f');
+    c.set('g', 7).get('g');
+    c.set('h', 8);
+    asserteq(c.size, 2, policy);
+    asserteq(c._keymap.size, 2, policy);
+    assert.deepEqual(Array.from(c.keys()).sort(), Array.from(c._keymap.keys()).sort(), policy);
+    assert(c.head && c.tail, policy);
+  }
+},
+
+['assign emits events']() {
+  let c = new LRUCache(0, 3, [['a', 1]]);
+  let log = [];
+  ['set', 'evict', 'clear'].forEach(event => c.on(event, (...args) => log.push([event].concat(args))));
+
+  c.assign([['b', 2], ['c', 3]]);
+  assert.deepEqual(log, [['clear'], ['set', 'b', 2], ['set', 'c', 3]]);
+
+  log = [];
+  c.assign([['d', 4], ['e', 5]], 'merge');
+  assert.deepEqual(log, [['set', 'd', 4], ['evict', 'b', 2], ['set', 'e', 5]]);
+
+  // Persistence and shared caches follow
+  let storage = fakeStorage();
+  let p = new persist.StoragePersistence(c, { storage: storage, delay: 1 });
+  let host = new shared.SharedCacheHost(c);
+  let client = new shared.SharedCacheClient(host.connect(), { local: new LRUCache(0, 3) });
+
+  return client.get('d').then(() => {
+    c.assign([['x', 1]]);
+    return client.has('z');
+  }).then(() => {
+    asserteq(client.local.size, 0);
+    return sleep(10);
+  }).then(() => {
+    assert.deepEqual(JSON.parse(storage.items.get('lru')).entries.map(item => item.key), ['x']);
+    p.close();
+    client.close();
+    host.close();
+  });
+},
+
+['events cost nothing once all listeners are removed']() {
+  let c = new LRUCache(0, 2);
+  let listener = () => {};
+
+  c.on('set', listener).once('hit', listener);
+  c.off('set', listener).off('hit', listener);
+  asserteq(c._events, undefined);
+},
+
+['eviction policies keep the Map-like API']() {
+  ['lru', 'lfu', 'slru', '2q', 'arc'].forEach(policy => {
+    let c = new LRUCache(0, 3, { policy: policy });
+    for (let i = 0; i < 20; i++) {
+      c.set('k' + (i % 7), i);
+      c.get('k' + (i % 7));
+      asserteq(c.head.key, 'k' + (i % 7));
+      if (i % 5 == 0) {
+        c.delete('k' + (i % 3));
+      }
+      assert(c.size <= 3, policy);
+      asserteq(Array.from(c.keys()).length, c.size);
+    }
+    c.clear();
+    c.set('a', 1).set('b', 2).set('c', 3).set('d', 4);
+    asserteq(c.size, 3);
+    asserteq(c.removeLRUItem().length, 2);
+    asserteq(c.size, 2);
+  });
+
+  assert.throws(() => { new LRUCache(0, 3, { policy: 'mru' }); }, TypeError);
+},
+
+['lfu policy']() {
+  let c = new LRUCache(0, 3, { policy: 'lfu' });
+  c.set('a', 1).set('b', 2).set('c', 3);
+  c.get('a'); c.get('a'); c.get('c'); c.get('b'); c.get('b');
+  c.set('d', 4); // evicts c, the least frequently used
+  assert.deepEqual(Array.from(c.keys()), ['a', 'b', 'd']);
+  c.set('e', 5); // evicts d, as it has been used the least recently of the new entries
+  assert.deepEqual(Array.from(c.keys()), ['a', 'b', 'e']);
+},
+
+['scan resistant policies']() {
+  ['slru', '2q', 'arc'].forEach(policy => {
+    let c = new LRUCache(0, 8, { policy: policy });
+
+    c.set('a', 1).set('b', 2);
+    c.get('a'); c.get('b');
+
+    // 2Q only admits keys that come back after having been evicted
+    for (let i = 0; i < 8; i++) {
+      c.set('x' + i, i);
+    }
+    c.set('a', 1).set('b', 2);
+
+    for (let i = 0; i < 50; i++) {
+      c.set('scan' + i, i);
+    }
+
+    assert(c.has('a') && c.has('b'), policy);
+    asserteq(c.size, 8);
+  });
+
+  // Plain LRU is flushed by the scan
+  let c = new LRUCache(0, 8);
+  c.set('a', 1).set('b', 2);
+  for (let i = 0; i < 50; i++) {
+    c.set('scan' + i, i);
+  }
+  assert(!c.has('a') && !c.has('b'));
+},
+
+['custom eviction policy']() {
+  // Evicts the most recently added entry, among those already in the cache
+  function MRUPolicy() { this.entries = []; }
+  MRUPolicy.prototype.add = function(entry) { this.entries.push(entry); };
+  MRUPolicy.prototype.touch = function(entry) {};
+  MRUPolicy.prototype.delete = function(entry) { this.entries.splice(this.entries.indexOf(entry), 1); };
+  MRUPolicy.prototype.evict = function() { return this.entries.pop(); };
+  MRUPolicy.prototype.clear = function() { this.entries = []; };
+
+  let evicted = [];
+  let c = new LRUCache(0, 2, { policy: MRUPolicy, dispose: (v, k, reason) => evicted.push(k + ':' + reason) });
+  c.set('a', 1).set('b', 2).set('c', 3);
+  assert.deepEqual(Array.from(c.keys()), ['a', 'c']);
+  assert.deepEqual(evicted, ['b:evict']);
+  asserteq(c.tail.key, 'a');
+  asserteq(c.head.key, 'c');
+  c.delete('a');
+  assert.deepEqual(Array.from(c.keys()), ['c']);
+},
+
+['tinylfu admission']() {
+  let c = new LRUCache(0, 3, { admission: 'tinylfu', stats: true, throwOnMiss: false });
+
+  // While there is room, every key is let in
+  c.set('a', 1).set('b', 2).set('c', 3);
+  c.get('a'); c.get('b'); c.get('c');
+  asserteq(c.size, 3);
+
+  // One-hit wonders do not push out entries used more often
+  for (let i = 0; i < 10; i++) {
+    c.set('once' + i, i);
+  }
+  assert.deepEqual(Array.from(c.keys()).sort(), ['a', 'b', 'c']);
+  asserteq(c.stats().rejections, 10);
+  asserteq(c.stats().sets, 3);
+
+  // A key that keeps being asked for gets in, in place of the LRU entry
+  c.get('d'); c.get('d'); c.get('d');
+  c.set('d', 4);
+  assert.deepEqual(Array.from(c.keys()), ['b', 'c', 'd']);
+
+  // Overwrites are never rejected
+  c.set('b', 5);
+  asserteq(c.get('b'), 5);
+
+  // A rejected value is disposed of, and a fetch of its key goes on
+  let disposed = [];
+  let small = new LRUCache(0, 1, {
+    admission: 'tinylfu',
+    dispose: (value, key, reason) => disposed.push([key, value, reason]),
+    fetchMethod: (key) => sleep(1).then(() => key.toUpperCase())
+  });
+  small.set('a', 1);
+  small.get('a'); small.get('a');
+  let fetching = small.fetch('x');
+  small.set('x', 'mine');
+  assert.deepEqual(disposed, [['x', 'mine', 'evict']]);
+  assert(small._inflight.has('x'));
+
+  assert.throws(() => { new LRUCache(0, 3, { admission: 'lfu' }); }, TypeError);
+  assert.throws(() => { new LRUCache(0, 3, { admission: 'tinylfu', policy: 'arc' }); }, TypeError);
+  assert.throws(() => { new LRUCache(0, 0, { admission: 'tinylfu' }); }, TypeError);
+
+  return fetching.then(value => {
+    asserteq(value, 'X');
+  });
+},
+
+['tinylfu forgets old uses']() {
+  let c = new LRUCache(0, 2, { admission: 'tinylfu', throwOnMiss: false });
+  c.set('a', 1).set('b', 2);
+  for (let i = 0; i < 20; i++) {
+    c.get('a'); c.get('b');
+  }
+
+  // Counts saturate, so without aging x0 could never be more popular than a and b
+  for (let i = 0; i < 200; i++) {
+    c.get('x0');
+    c.set('x' + i, i);
+  }
+  c.set('x0', 0);
+  assert(c.has('x0'));
+},
+
+['typed array cache']() {
+  let disposed = [];
+  let c = new TypedLRUCache(0, 3, { dispose: (value, key, reason) => disposed.push(key + ':' + reason) });
+  asserteq(c.tail, undefined);
+
+  c.set('a', 1).set('b', 2).set('c', 3);
+  asserteq(c.get('a'), 1);
+  c.set('d', 4); // evicts b
+  assert.deepEqual(Array.from(c), [['c', 3], ['a', 1], ['d', 4]]);
+  assert.deepEqual(c.tail, { key: 'c', value: 3 });
+  assert.deepEqual(c.head, { key: 'd', value: 4 });
+  asserteq(c.toString(), 'c:3 < a:1 < d:4');
+
+  // Removed slots are reused
+  asserteq(c.delete('a'), 1);
+  c.set('e', 5);
+  asserteq(c._used, 3);
+  assert.deepEqual(Array.from(c.keys()), ['c', 'd', 'e']);
+  assert.deepEqual(c.removeLRUItem(), ['c', 3]);
+  assert.deepEqual(Array.from(c.values()), [4, 5]);
+  assert.deepEqual(disposed, ['b:evict', 'a:delete', 'c:evict']);
+
+  assert.throws(() => { c.get('a'); }, lru.NotFoundError);
+  assert.throws(() => { c.assign([['x', 1], ['y', 2], ['z', 3], ['w', 4]]); }, lru.OverflowError);
+  asserteq(c.size, 2);
+
+  c.assign([['x', 1], ['y', 2]]);
+  assert.deepEqual(c.toJSON(), [{ key: 'x', value: 1 }, { key: 'y', value: 2 }]);
+  c.clear();
+  asserteq(c.size, 0);
+  asserteq(c.find('x'), undefined);
+
+  assert.throws(() => { new TypedLRUCache(0, 0); }, TypeError);
+  assert.throws(() => { new TypedLRUCache(0, 3, { allowStale: true }); }, TypeError);
+  assert.throws(() => { new TypedLRUCache(0, 3, { policy: 'lfu' }); }, TypeError);
+  assert.throws(() => { new TypedLRUCache(0, 3, { unknown: true }); }, /unknown is not supported/);
+  assert.throws(() => { new TypedLRUCache(0, 3, { secondary: new stores.MemoryStore() }); }, /secondary is not supported/);
+  assert.throws(() => { new TypedLRUCache(0, 3, { writeMode: 'write-back' }); }, /writeMode is not supported/);
+  new TypedLRUCache(0, 3, { ttl: undefined, policy: 'lru', updateAgeOnSet: true, noUpdateTTL: false });
+
+  // The methods of lru.js it leaves out say so
+  assert.throws(() => { c.flush(); }, /flush\(\) is not supported by TypedLRUCache/);
+},
+
+['typed array cache events, statistics and snapshots']() {
+  let clock = new FakeClock();
+  let c = new TypedLRUCache(0, 2, { stats: true, clock: clock, throwOnMiss: false });
+  let log = [];
+  let record = (event) => (...args) => { log.push([event].concat(args)); };
+  ['set', 'hit', 'miss', 'evict', 'expire', 'delete', 'clear'].forEach(event => c.on(event, record(event)));
+
+  c.set('a', 1).set('b', 2).set('b', 3, { ttl: 5 });
+  c.get('a');
+  c.get('x');
+  c.set('c', 4); // evicts b
+  clock.advance(10);
+  c.delete('a');
+  c.clear();
+  assert.deepEqual(log, [
+    ['set', 'a', 1], ['set', 'b', 2], ['set', 'b', 3], ['hit', 'a', 1], ['miss', 'x'],
+    ['evict', 'b', 3], ['set', 'c', 4], ['delete', 'a', 1], ['clear']
+  ]);
+
+  let stats = c.stats();
+  assert.deepEqual([stats.hits, stats.misses, stats.sets, stats.overwrites, stats.evictions, stats.deletes], [1, 1, 4, 1, 1, 1]);
+  asserteq(stats.hitRatio, 0.5);
+  c.resetStats();
+  asserteq(c.stats().sets, 0);
+  asserteq(new TypedLRUCache(0, 2).stats(), undefined);
+
+  // Listeners are told once the entry is in place, and can be removed
+  let seen = [];
+  c.once('evict', () => seen.push(c.peek('f')));
+  c.set('d', 5).set('e', 6).set('f', 7).set('g', 8);
+  assert.deepEqual(seen, [7]);
+  let onSet = () => seen.push('set');
+  c.on('set', onSet).off('set', onSet).set('g', 8);
+  assert.deepEqual(seen, [7]);
+  assert.throws(() => { c.on('unknown', () => {}); }, TypeError);
+
+  // Snapshots are interchangeable with those of LRUCache
+  c.set('h', 9, { ttl: 60000 });
+  let snapshot = c.dump();
+  assert.deepEqual(snapshot.entries.map(item => item.key), ['g', 'h']);
+  asserteq(snapshot.entries[1].ttl, 60000);
+
+  let l = new LRUCache(0, 10, { clock: clock });
+  asserteq(l.load(JSON.parse(JSON.stringify(snapshot))), 2);
+  asserteq(l.getRemainingTTL('h'), 60000);
+
+  l.set('i', 10);
+  let t = new TypedLRUCache(0, 3, { clock: clock });
+  t.set('h', 'mine');
+  asserteq(t.load(l.dump(), { merge: true }), 3);
+  assert.deepEqual(Array.from(t.entries()), [['g', 8], ['i', 10], ['h', 'mine']]);
+  asserteq(t.load(l.dump()), 3);
+  assert.deepEqual(Array.from(t.keys()), ['g', 'h', 'i']);
+
+  clock.advance(60001);
+  asserteq(t.load(snapshot), 1);
+  assert.throws(() => { t.load({ version: 99, entries: [] }); }, TypeError);
+
+  let purging = new TypedLRUCache(0, 2, { purgeInterval: 1000 });
+  assert(purging._purgeTimer);
+  purging.stopPurging();
+  asserteq(purging._purgeTimer, undefined);
+},
+
+['typed array cache fetch']() {
+  let calls = 0;
+  let c = new TypedLRUCache(0, 2, { fetchMethod: (key) => {
+    calls++;
+    return key == 'missing' ? undefined : key == 'bad' ? Promise.reject(new Error('bad')) : sleep(1).then(() => key.toUpperCase());
+  } });
+
+  let controller = new AbortController();
+  let aborted = c.fetch('z', { signal: controller.signal }).then(() => assert.fail('expected an AbortError'), err => err);
+  controller.abort();
+
+  return Promise.all([c.fetch('a'), c.fetch('a'), c.fetch('missing')]).then(values => {
+    assert.deepEqual(values, ['A', 'A', undefined]);
+    asserteq(calls, 3);
+    asserteq(c.get('a'), 'A');
+    asserteq(c.has('missing'), false);
+    return c.fetch('a');
+  }).then(value => {
+    asserteq(value, 'A');
+    asserteq(calls, 3);
+    return c.fetch('bad').then(() => assert.fail('expected an error'), err => asserteq(err.message, 'bad'));
+  }).then(() => aborted).then(err => {
+    asserteq(err.name, 'AbortError');
+
+    // A value set while fetching wins
+    let fetching = c.fetch('b');
+    c.set('b', 'mine');
+    return fetching;
+  }).then(value => {
+    asserteq(value, 'B');
+    asserteq(c.get('b'), 'mine');
+    return new TypedLRUCache(0, 2).fetch('a').then(() => assert.fail('expected an error'), err => {
+      assert(err instanceof TypeError);
+    });
+  });
+},
+
+['typed array cache iteration order']() {
+  let clock = new FakeClock();
+  let c = new TypedLRUCache(0, 5, [['a', 1], ['b', 2], ['c', 3], ['d', 4], ['e', 5]], { clock: clock });
+  c.get('b');
+
+  assert.deepEqual(Array.from(c.rkeys()), ['b', 'e', 'd', 'c', 'a']);
+  assert.deepEqual(Array.from(c.rvalues()), [2, 5, 4, 3, 1]);
+  assert.deepEqual(Array.from(c.rentries()), [['b', 2], ['e', 5], ['d', 4], ['c', 3], ['a', 1]]);
+  assert.deepEqual(c.slice(0, 2), [['b', 2], ['e', 5]]);
+  assert.deepEqual(c.slice(-2), [['c', 3], ['a', 1]]);
+  assert.deepEqual(c.slice(1, -2), [['e', 5], ['d', 4]]);
+  asserteq(c.tail.key, 'a');
+
+  assert.deepEqual(c.oldest, { key: 'a', value: 1 });
+  assert.deepEqual(c.newest, { key: 'b', value: 2 });
+  let newest = c.newest;
+  assert.throws(() => { 'use strict'; newest.value = 5; }, TypeError);
+
+  c.set('x', 0, { ttl: 1 });
+  clock.advance(5);
+  asserteq(c.newest.key, 'b');
+  asserteq(c.slice(0, 1)[0][0], 'b');
+
+  for (let method of ['keys', 'values', 'rkeys', 'rvalues', 'rentries', Symbol.iterator]) {
+    let it = c[method]();
+    it.next();
+    c.get(c.oldest.key);
+    assert.throws(() => it.next(), /modified during iteration/);
+  }
+  assert.throws(() => c.forEach((value, key) => c.delete(key)), /modified during iteration/);
+
+  c.clear();
+  asserteq(c.oldest, undefined);
+  asserteq(c.newest, undefined);
+},
+
+['typed array cache batches and transactions']() {
+  let log = [];
+  let c = new TypedLRUCache(0, 3, [['a', 1], ['b', 2], ['c', 3]], {
+    stats: true,
+    dispose: (value, key, reason) => log.push(['dispose', key, reason]),
+    fetchMethod: (key) => sleep(1).then(() => key.toUpperCase())
+  });
+  c.on('set', key => log.push(['set', key]));
+  c.set('a', 10, { ttl: 50, tags: ['t'] });
+
+  let result = c.getMany(['b', 'x', 'a']);
+  assert.deepEqual(Array.from(result.hits), [['b', 2], ['a', 10]]);
+  assert.deepEqual(result.misses, ['x']);
+  asserteq(c.deleteMany(['b', 'x']), 1);
+  c.setMany([['b', 2]], { tags: ['t'] });
+  assert.deepEqual(Array.from(c.keys()), ['c', 'a', 'b']);
+
+  // Changes are rolled back when the function throws
+  let fetching = c.fetch('z');
+  let err = new Error('failed');
+  log = [];
+  assert.throws(() => {
+    c.transaction(tx => {
+      asserteq(tx, c);
+      tx.set('d', 4);   // evicts c
+      tx.invalidateTag('t');
+      tx.set('a', 11, { tags: ['u'] }).set('z', 'mine');
+      tx.deleteMany(['d']);
+      throw err;
+    });
+  }, e => e === err);
+
+  assert.deepEqual(log, []);
+  assert.deepEqual(Array.from(c.entries()), [['c', 3], ['a', 10], ['b', 2]]);
+  assert(c.getRemainingTTL('a') > 0 && c.getRemainingTTL('a') <= 50);
+  asserteq(c.invalidateTag('u'), 0);
+  asserteq(c.stats().sets, 2);
+  asserteq(c.invalidateTag('t'), 2);
+
+  // Side effects happen once the transaction completes, and a nested
+  // transaction that fails only undoes its own changes
+  log = [];
+  result = c.transaction(tx => {
+    tx.set('d', 4).set('e', 5).set('f', 6);   // evicts c
+    assert.deepEqual(log, []);
+    assert.throws(() => {
+      tx.transaction(() => {
+        tx.delete('d');
+        throw err;
+      });
+    }, e => e === err);
+    return 'done';
+  });
+  asserteq(result, 'done');
+  assert.deepEqual(log, [['set', 'd'], ['set', 'e'], ['dispose', 'c', 'evict'], ['set', 'f']]);
+  assert.deepEqual(Array.from(c.keys()), ['d', 'e', 'f']);
+
+  // Asynchronous functions cannot be rolled back
+  assert.throws(() => {
+    c.transaction(tx => {
+      tx.clear();
+      return Promise.resolve();
+    });
+  }, TypeError);
+  assert.deepEqual(Array.from(c.keys()), ['d', 'e', 'f']);
+
+  // Slots first used by a failed transaction are free again
+  let small = new TypedLRUCache(0, 4, [['a', 1]]);
+  assert.throws(() => {
+    small.transaction(tx => {
+      tx.set('b', 2, { ttl: 10, tags: ['t'] }).set('c', 3);
+      throw err;
+    });
+  }, e => e === err);
+  asserteq(small._used, 1);
+  asserteq(small._ttls, undefined);
+  small.set('c', 3);
+  assert.deepEqual(Array.from(small), [['a', 1], ['c', 3]]);
+  asserteq(small.invalidateTag('t'), 0);
+
+  // The fetch dropped by the failed transaction still fills the cache
+  return fetching.then(value => {
+    asserteq(value, 'Z');
+    asserteq(c.find('z'), 'Z');
+  });
+},
+
+['typed array cache readonly view']() {
+  let clock = new FakeClock();
+  let c = new TypedLRUCache(0, 4, [['a', 1], ['b', 2], ['c', 3]], { clock: clock, updateAgeOnHas: true });
+  let view = c.readonly();
+
+  assert(Object.isFrozen(view));
+  asserteq(view.size, 3);
+  asserteq(view.has('a'), true);
+  asserteq(view.peek('b'), 2);
+  assert.deepEqual(Array.from(view), [['a', 1], ['b', 2], ['c', 3]]);
+  assert.deepEqual(Array.from(view.rkeys()), ['c', 'b', 'a']);
+  assert.deepEqual(view.slice(0, 1), [['c', 3]]);
+  asserteq(view.oldest.key, 'a');
+  asserteq(view.keys().cache, undefined);
+
+  ['set', 'delete', 'clear', 'assign', 'removeLRUItem', 'invalidateTag'].forEach(name => {
+    assert.throws(() => { view[name]('a', 1); }, /read-only/);
+  });
+  asserteq(c.toString(), 'a:1 < b:2 < c:3');
+
+  // Reads do not renew or remove expired entries
+  c.set('d', 4, { ttl: 10 });
+  clock.advance(5);
+  asserteq(view.has('d'), true);
+  asserteq(view.getRemainingTTL('d'), 5);
+  clock.advance(10);
+  asserteq(view.has('d'), false);
+  asserteq(c.size, 4);
+},
+
+['typed array cache tags']() {
+  let disposed = [];
+  let c = new TypedLRUCache(0, 4, { dispose: (value, key) => disposed.push([key, c.has(key)]) });
+  c.set('a', 1, { tags: ['odd', 'small'] });
+  c.set('b', 2, { tags: ['even', 'small'] });
+  c.set('c', 3, { tags: ['odd'] });
+  c.set('d', 4);
+
+  asserteq(c.invalidateTag('odd'), 2);
+  assert.deepEqual(Array.from(c.keys()), ['b', 'd']);
+  asserteq(c.invalidateTag('odd'), 0);
+  asserteq(c.invalidateTag('unknown'), 0);
+
+  // Disposal happens once the tag is gone from the cache
+  assert.deepEqual(disposed, [['a', false], ['c', false]]);
+
+  // Setting a key again replaces its tags, and the tags of evicted entries go
+  c.set('b', 5);
+  asserteq(c.invalidateTag('even'), 0);
+  c.set('e', 5, { tags: ['x'] }).set('f', 6).set('g', 7).set('h', 8).set('i', 9);
+  asserteq(c.invalidateTag('x'), 0);
+  assert.throws(() => { c.set('j', 10, { tags: 'x' }); }, TypeError);
+
+  // Tags survive a snapshot
+  c.set('h', 8, { tags: ['y'] });
+  let copy = new TypedLRUCache(0, 4);
+  copy.load(c.dump());
+  asserteq(copy.invalidateTag('y'), 1);
+
+  let seen = [];
+  asserteq(c.deleteWhere((value, key, meta) => {
+    seen.push([key, meta.tags]);
+    return value > 7;
+  }), 2);
+  assert.deepEqual(seen, [['f', []], ['g', []], ['i', []], ['h', ['y']]]);
+  assert.deepEqual(Array.from(c.keys()), ['f', 'g']);
+},
+
+['typed array cache with sizes and lifetimes']() {
+  let c = new TypedLRUCache(0, 10, { maxSize: 10, sizeCalculation: (value) => value.length });
+  c.set('a', 'xxxx').set('b', 'xxxx').set('c', 'xxx');
+  assert.deepEqual(Array.from(c.keys()), ['b', 'c']);
+  asserteq(c.calculatedSize, 7);
+  assert.throws(() => { c.set('d', 'x'.repeat(11)); }, lru.OverflowError);
+
+  let clock = new FakeClock();
+  let t = new TypedLRUCache(0, 10, { throwOnMiss: false, clock: clock });
+  t.set('short', 1, { ttl: 5 }).set('long', 2);
+  asserteq(t.getRemainingTTL('short'), 5);
+  asserteq(t.getRemainingTTL('long'), Infinity);
+
+  clock.advance(15);
+  asserteq(t.peek('short'), undefined);
+  asserteq(t.get('short'), undefined);
+  asserteq(t.size, 1);
+  asserteq(t.get('long'), 2);
+},
+
+['cache pool']() {
+  let pool = new lru.CachePool({ limit: 6 });
+  let users = pool.cache('users', { min: 2 });
+  let sessions = pool.cache('sessions', { max: 3 });
+  let templates = pool.cache('templates');
+  asserteq(pool.cache('users'), users);
+  assert.deepEqual(pool.names(), ['users', 'sessions', 'templates']);
+
+  users.set('u1', 1).set('u2', 2).set('u3', 3);
+  sessions.set('s1', 1).set('s2', 2);
+  templates.set('t1', 1);
+  users.get('u1');
+  asserteq(pool.size, 6);
+
+  // Evicts the least recently used entry of the pool
+  templates.set('t2', 2);
+  assert.deepEqual(Array.from(users.keys()), ['u3', 'u1']);
+  asserteq(pool.size, 6);
+
+  users.set('u4', 4);
+  assert.deepEqual(Array.from(users.keys()), ['u1', 'u4']);
+
+  // sessions never holds more than its maximum quota, and users is down to
+  // its minimum quota, so templates makes room even though u1 is older
+  sessions.set('s3', 3).set('s4', 4).set('s5', 5);
+  assert.deepEqual(Array.from(sessions.keys()), ['s3', 's4', 's5']);
+  assert.deepEqual(Array.from(users.keys()), ['u1', 'u4']);
+  assert.deepEqual(Array.from(templates.keys()), ['t2']);
+  asserteq(pool.size, 6);
+
+  // Clearing one cache leaves the others alone
+  sessions.clear();
+  asserteq(users.size, 2);
+  asserteq(pool.size, 3);
+
+  assert(pool.delete('templates'));
+  assert.deepEqual(pool.names(), ['users', 'sessions']);
+  assert.throws(() => { pool.cache('big', { min: 5 }); }, TypeError);
+},
+
+['cache pool with a size budget']() {
+  let pool = new lru.CachePool({ maxSize: 10, sizeCalculation: (value) => value.length });
+  let a = pool.cache('a'), b = pool.cache('b');
+  a.set('x', 'xxxx');
+  b.set('y', 'yyyy');
+  a.set('z', 'zzzz');
+  assert.deepEqual(Array.from(a.keys()), ['z']);
+  assert.deepEqual(Array.from(b.keys()), ['y']);
+  asserteq(pool.calculatedSize, 8);
+},
+
+['cache pool budget on assign and load']() {
+  let pool = new lru.CachePool({ limit: 3 });
+  let a = pool.cache('a'), b = pool.cache('b');
+  b.set('x', 1);
+  a.assign([['p', 1], ['q', 2], ['r', 3]]);
+  asserteq(pool.size, 3);
+  assert.deepEqual(Array.from(b.keys()), []);
+  assert.deepEqual(Array.from(a.keys()), ['p', 'q', 'r']);
+
+  // Loaded entries are the most recently used ones of the pool
+  let snapshot = a.dump();
+  a.clear();
+  b.set('y', 2).set('z', 3);
+  asserteq(a.load(snapshot), 3);
+  asserteq(pool.size, 3);
+  asserteq(b.size, 0);
+
+  // Within a transaction, the pool makes room once it commits
+  a.clear();
+  b.set('y', 2);
+  a.transaction(() => {
+    a.assign([['p', 1], ['q', 2], ['r', 3]]);
+    asserteq(pool.size, 4);
+  });
+  asserteq(pool.size, 3);
+  asserteq(b.size, 0);
+},
+
+['tags']() {
+  let disposed = [];
+  let c = new LRUCache(0, 3, { dispose: (value, key, reason) => disposed.push(key + ':' + reason) });
+  c.set('a', 1, { tags: ['odd', 'small'] })
+   .set('b', 2, { tags: ['even', 'small'] })
+   .set('c', 3, { tags: ['odd'] });
+
+  asserteq(c.invalidateTag('odd'), 2);
+  assert.deepEqual(Array.from(c.keys()), ['b']);
+  assert.deepEqual(disposed, ['a:delete', 'c:delete']);
+  asserteq(c.invalidateTag('odd'), 0);
+  asserteq(c.invalidateTag('unknown'), 0);
+
+  // Setting a key again replaces its tags
+  c.set('b', 2, { tags: ['two'] });
+  asserteq(c.invalidateTag('even'), 0);
+  asserteq(c._tags.has('small'), false);
+
+  // Evicted entries leave the tag index
+  c.set('d', 4, { tags: ['small'] }).set('e', 5).set('f', 6);
+  assert.deepEqual(Array.from(c.keys()), ['d', 'e', 'f']);
+  asserteq(c._tags.has('two'), false);
+  asserteq(c.invalidateTag('small'), 1);
+
+  // Tags survive a dump and load
+  c.set('g', 7, { tags: ['g'] });
+  let c2 = new LRUCache(0, 3);
+  c2.load(JSON.parse(JSON.stringify(c.dump())));
+  asserteq(c2.invalidateTag('g'), 1);
+  assert.deepEqual(Array.from(c2.keys()), ['e', 'f']);
+
+  c.clear();
+  asserteq(c._tags, undefined);
+  assert.throws(() => { c.set('x', 1, { tags: 'x' }); }, TypeError);
+},
+
+['expired entries leave the tag index']() {
+  let clock = new FakeClock();
+  let c = new LRUCache(0, 3, { clock: clock });
+  c.set('a', 1, { ttl: 1, tags: ['t'] }).set('b', 2, { tags: ['t'] });
+
+  clock.advance(10);
+  asserteq(c.has('a'), false);
+  assert.deepEqual(Array.from(c._tags.get('t')).map(e => e.key), ['b']);
+  asserteq(c.invalidateTag('t'), 1);
+  asserteq(c.size, 0);
+},
+
+['deleteWhere']() {
+  let c = new LRUCache(0, 5, { maxSize: 100, sizeCalculation: (value) => value });
+  let seen = [];
+  c.set('a', 10, { tags: ['x'] }).set('b', 20).set('c', 30, { ttl: 1000 });
+
+  asserteq(c.deleteWhere((value, key, meta) => {
+    seen.push(meta);
+    return value >= 20;
+  }), 2);
+  assert.deepEqual(Array.from(c.keys()), ['a']);
+  asserteq(seen.length, 3);
+  assert.deepEqual(seen[0].tags, ['x']);
+  asserteq(seen[0].size, 10);
+  asserteq(seen[2].ttl, 1000);
+  assert(Math.abs(seen[0].createdAt - Date.now()) < 1000);
+  asserteq(c.calculatedSize, 10);
+},
+
+['secondary store, write-through']() {
+  let store = new stores.MemoryStore();
+  let c = new LRUCache(0, 2, { secondary: store });
+
+  c.set('a', 1).set('b', 2, { ttl: 60000 });
+  c.set('c', 3); // evicts a, which is already in the store
+
+  return c.flush().then(() => {
+    assert.deepEqual(Array.from(store.records.keys()), ['a', 'b', 'c']);
+    asserteq(c.has('a'), false);
+
+    // A miss is looked up in the store and promoted
+    return c.fetch('a');
+  }).then(value => {
+    asserteq(value, 1);
+    assert.deepEqual(Array.from(c.keys()), ['c', 'a']);
+
+    // The promoted entry keeps its age and lifetime
+    return c.fetch('b');
+  }).then(value => {
+    asserteq(value, 2);
+    assert(c.getRemainingTTL('b') <= 60000 && c.getRemainingTTL('b') > 59000);
+    asserteq(store.records.get('b').createdAt, c.dump().entries[1].createdAt);
+
+    // Deleted entries leave the store too
+    c.delete('b');
+    return c.flush();
+  }).then(() => {
+    asserteq(store.records.has('b'), false);
+    return c.fetch('missing');
+  }).then(value => {
+    asserteq(value, undefined);
+  });
+},
+
+['secondary store, write-back']() {
+  let store = new stores.MemoryStore();
+  let loaded = [];
+  let c = new LRUCache(0, 2, {
+    secondary   : store,
+    writeMode   : 'write-back',
+    fetchMethod : (key) => { loaded.push(key); return key.toUpperCase(); }
+  });
+
+  c.set('a', 1).set('b', 2);
+  asserteq(store.records.size, 0);
+
+  c.set('c', 3); // demotes a
+
+  return c.flush().then(() => {
+    assert.deepEqual(Array.from(store.records.keys()), ['a', 'b', 'c']);
+    asserteq(store.records.get('a').value, 1);
+
+    // Found in the store, so fetchMethod is not called
+    return c.fetch('a');
+  }).then(value => {
+    asserteq(value, 1);
+    return c.fetch('x');
+  }).then(value => {
+    asserteq(value, 'X');
+    assert.deepEqual(loaded, ['x']);
+  });
+},
+
+['secondary store errors are reported by flush']() {
+  let store = new stores.MemoryStore();
+  store.set = () => Promise.reject(new Error('disk full'));
+  let c = new LRUCache(0, 2, { secondary: store });
+
+  c.set('a', 1);
+  return c.flush().then(() => { assert(false, 'flush should have failed'); }, err => {
+    asserteq(err.message, 'disk full');
+    return c.flush();
+  }).then(() => {
+    assert.throws(() => { new LRUCache(0, 2, { secondary: {} }); }, TypeError);
+    assert.throws(() => { new LRUCache(0, 2, { secondary: store, writeMode: 'later' }); }, TypeError);
+  });
+},
+
+['file store']() {
+  let dir = require('path').join(require('os').tmpdir(), 'lru-test-' + process.pid);
+  let store = new stores.FileStore(dir);
+  let c = new LRUCache(0, 1, { secondary: store });
+
+  c.set('a', { n: 1 }).set(2, 'two');
+
+  return c.flush().then(() => {
+    asserteq(require('fs').readdirSync(dir).length, 2);
+    return new LRUCache(0, 1, { secondary: store }).fetch('a');
+  }).then(value => {
+    assert.deepEqual(value, { n: 1 });
+    return store.get('2');
+  }).then(record => {
+    asserteq(record, undefined);
+    return store.delete('a');
+  }).then(() => store.delete('a')).then(() => store.get('a')).then(record => {
+    asserteq(record, undefined);
+
+    // Keys that are objects are found again
+    return store.set({ id: 1 }, { value: 'one', createdAt: 0 });
+  }).then(() => store.get({ id: 1 })).then(record => {
+    asserteq(record.value, 'one');
+
+    // A directory that cannot be created fails the operations, not the process
+    let file = require('path').join(dir, 'file');
+    require('fs').writeFileSync(file, '');
+    let broken = new stores.FileStore(require('path').join(file, 'sub'));
+    return broken.get('a').then(() => assert.fail('expected an error'), err => {
+      asserteq(err.code, 'ENOTDIR');
+      return broken.set('a', { value: 1, createdAt: 0 });
+    }).then(() => assert.fail('expected an error'), err => {
+      asserteq(err.code, 'ENOTDIR');
+    });
+  }).then(() => {
+    require('fs').rmSync(dir, { recursive: true });
+  });
+},
+
+['shared cache']() {
+  let host = new shared.SharedCacheHost(new LRUCache(0, 2, { maxSize: 5, sizeCalculation: () => 1 }));
+  let a = new shared.SharedCacheClient(host.connect(), { local: new LRUCache(0, 2) });
+  let b = new shared.SharedCacheClient(host.connect());
+
+  return a.set('x', 1).then(() => b.get('x')).then(value => {
+    asserteq(value, 1);
+    return Promise.all([b.has('x'), b.has('y'), b.peek('y')]);
+  }).then(results => {
+    assert.deepEqual(results, [true, false, undefined]);
+    return b.get('y').then(() => assert.fail('expected a NotFoundError'), err => {
+      assert(err instanceof lru.NotFoundError);
+      asserteq(err.key, 'y');
+    });
+  }).then(() => a.delete('x')).then(value => {
+    asserteq(value, 1);
+    asserteq(host.cache.size, 0);
+    return a.set('big', 1, { size: 10 }).catch(err => err);
+  }).then(err => {
+    assert(err instanceof lru.OverflowError);
+    asserteq(a.local.has('big'), false);
+
+    // Values that cannot be sent make the request fail
+    host.cache.set('fn', () => {});
+    return b.get('fn').then(() => assert.fail('expected a DataCloneError'), err => err);
+  }).then(err => {
+    asserteq(err.name, 'DataCloneError');
+    asserteq(host.cache.has('fn'), true);
+    a.close();
+    b.close();
+    host.close();
+  });
+},
+
+['shared cache invalidation']() {
+  let host = new shared.SharedCacheHost(new LRUCache(0, 10));
+  let invalidated = [];
+  let a = new shared.SharedCacheClient(host.connect(), { local: new LRUCache(0, 10) });
+  let b = new shared.SharedCacheClient(host.connect(), {
+    local: new LRUCache(0, 10),
+    onInvalidate: key => invalidated.push(key),
+  });
+
+  host.cache.set('x', 1);
+
+  return b.get('x').then(value => {
+    asserteq(value, 1);
+    asserteq(b.local.get('x'), 1);
+    host.cache.set('x', 2);
+    return a.set('x', 3);
+  }).then(() => {
+    // Messages on b's channel arrive in order, so the invalidations are in
+    // once this request is answered
+    return b.has('z');
+  }).then(() => {
+    asserteq(b.local.has('x'), false);
+    assert.deepEqual(invalidated, ['x', 'x']);
+    return b.get('x');
+  }).then(value => {
+    asserteq(value, 3);
+    host.cache.clear();
+    return b.has('z');
+  }).then(() => {
+    asserteq(b.local.size, 0);
+    assert.deepEqual(invalidated, ['x', 'x', undefined]);
+    a.close();
+    b.close();
+    host.close();
+  });
+},
+
+['shared cache across worker threads']() {
+  const { Worker } = require('worker_threads');
+  let host = new shared.SharedCacheHost(new LRUCache(0, 10, { throwOnMiss: false }));
+  let worker = new Worker(`
+    const { parentPort } = require('worker_threads');
+    const { SharedCacheClient } = require(${JSON.stringify(require.resolve('./lru-shared'))});
+    let c = new SharedCacheClient(parentPort);
+    c.get('main').then(value => c.set('worker', value + 1)).then(() => c.close());
+  `, { eval: true });
+
+  host.cache.set('main', 1);
+  host.connect(worker);
+
+  return new Promise((resolve, reject) => {
+    worker.on('error', reject);
+    worker.on('exit', resolve);
+  }).then(() => {
+    asserteq(host.cache.get('worker'), 2);
+    host.close();
+  });
+},
+
+memoize() {
+  let calls = 0;
+  let add = lru.memoize(function(a, b) {
+    calls++;
+    return a + (b ? b.n : 0);
+  }, { limit: 3 });
+
+  asserteq(add(1), 1);
+  asserteq(add(1), 1);
+  asserteq(add('1'), '10');
+  asserteq(calls, 2);
+
+  // Objects with the same properties make the same key
+  asserteq(add(1, { n: 2, m: [1, { x: 1, y: 2 }] }), 3);
+  asserteq(add(1, { m: [1, { y: 2, x: 1 }], n: 2 }), 3);
+  asserteq(add(1, { n: 2, m: [1, { x: 1, y: 3 }] }), 3);
+  asserteq(calls, 4);
+  asserteq(add.cache.size, 3);
+  assert.deepEqual(Array.from(add.cache.keys()), ['["1"]', '[1,{"m":[1,{"x":1,"y":2}],"n":2}]', '[1,{"m":[1,{"x":1,"y":3}],"n":2}]']);
+
+  asserteq(add.delete('1'), true);
+  asserteq(add.delete('1'), false);
+  add.clear();
+  asserteq(add.cache.size, 0);
+
+  let circular = {};
+  circular.self = circular;
+  assert.throws(() => add(1, circular), TypeError);
+
+  let byId = lru.memoize(user => ({ name: user.name }), { keyResolver: user => user.id });
+  let first = byId({ id: 1, name: 'ann' });
+  assert.strictEqual(byId({ id: 1, name: 'bob' }), first);
+  assert.throws(() => lru.memoize(add, { keyResolver: 'id' }), TypeError);
+},
+
+['memoize promises']() {
+  let calls = 0;
+  let load = lru.memoize(key => {
+    calls++;
+    return key == 'bad' && calls < 4 ? Promise.reject(new Error('failed')) : Promise.resolve(key.toUpperCase());
+  });
+
+  let a = load('a');
+  assert.strictEqual(load('a'), a);
+
+  return Promise.all([a, load('bad').catch(err => err)]).then(results => {
+    asserteq(results[0], 'A');
+    asserteq(results[1].message, 'failed');
+    assert.deepEqual(Array.from(load.cache.keys()), ['["a"]']);
+    return load('bad').catch(err => err);
+  }).then(err => {
+    asserteq(err.message, 'failed');
+    return load('bad');
+  }).then(value => {
+    asserteq(value, 'BAD');
+    asserteq(calls, 4);
+    asserteq(load.cache.size, 2);
+  });
+},
+
+['storage persistence']() {
+  let storage = fakeStorage();
+  let c = new LRUCache(0, 10);
+  let p = new persist.StoragePersistence(c, { storage: storage, key: 'cache', delay: 5 });
+
+  c.set('a', 1).set('b', 2).set('c', 3, { ttl: 60000 }).set('d', 4, { ttl: 60000 });
+  c.get('a');
+  asserteq(storage.items.size, 0);
+
+  return sleep(20).then(() => {
+    let snapshot = JSON.parse(storage.items.get('cache'));
+    assert.deepEqual(snapshot.entries.map(item => item.key), ['b', 'c', 'd', 'a']);
+
+    // Pretend 'c' was set long ago
+    snapshot.entries[1].createdAt -= 120000;
+    storage.setItem('cache', JSON.stringify(snapshot));
+
+    // Entries set before loading are left alone
+    let disposed = [];
+    let c2 = new LRUCache(0, 10, [['e', 5]], { dispose: (value, key) => disposed.push(key) });
+    c2.on('clear', () => disposed.push('clear'));
+    let p2 = new persist.StoragePersistence(c2, { storage: storage, key: 'cache', delay: 5 });
+    assert.deepEqual(Array.from(c2.keys()), ['b', 'd', 'a', 'e']);
+    assert.deepEqual(disposed, []);
+    asserteq(c2.getRemainingTTL('d') > 59000, true);
+
+    c2.delete('b');
+    p2.close();
+    p.close();
+    assert.deepEqual(JSON.parse(storage.items.get('cache')).entries.map(item => item.key), ['d', 'a', 'e']);
+
+    // Closed: changes are no longer written
+    c2.clear();
+    return sleep(20);
+  }).then(() => {
+    asserteq(JSON.parse(storage.items.get('cache')).entries.length, 3);
+  });
+},
+
+['storage persistence quota']() {
+  let storage = fakeStorage(300);
+  let c = new LRUCache(0, 20);
+  let p = new persist.StoragePersistence(c, { storage: storage });
+
+  for (let i = 0; i < 20; i++) {
+    c.set('key' + i, i);
+  }
+  p.flush();
+
+  // The least recently used entries were evicted until the snapshot fitted
+  assert(c.size < 20 && c.size > 0);
+  asserteq(c.head.key, 'key19');
+  assert.deepEqual(JSON.parse(storage.items.get('lru')).entries.length, c.size);
+
+  // Fails when even an empty snapshot does not fit
+  let tiny = fakeStorage(10);
+  let c2 = new LRUCache(0, 20, [['a', 1]]);
+  let p2 = new persist.StoragePersistence(c2, { storage: tiny });
+  assert.throws(() => p2.flush(), /quota exceeded/);
+  asserteq(c2.size, 0);
+
+  let errors = [];
+  let p3 = new persist.StoragePersistence(new LRUCache(0, 20), { storage: tiny, delay: 1, onError: err => errors.push(err) });
+  p3.cache.set('a', 1);
+
+  return sleep(10).then(() => {
+    asserteq(errors.length, 1);
+    asserteq(errors[0].name, 'QuotaExceededError');
+    p.close();
+    p2.close();
+    p3.close();
+  });
+},
+
+['indexeddb persistence']() {
+  let indexedDB = fakeIndexedDB();
+  indexedDB.records.set('lru', new LRUCache(0, 10, [['a', 1], ['b', { n: 2 }], ['c', 3]]).dump());
+
+  let c = new LRUCache(0, 10);
+  let p = new persist.IndexedDBPersistence(c, { indexedDB: indexedDB, delay: 5 });
+
+  // Changes made while loading are kept
+  c.set('d', 4).set('a', 5).set('c', 6);
+  c.delete('c');
+
+  return p.ready.then(() => {
+    assert.deepEqual(Array.from(c.entries()), [['b', { n: 2 }], ['d', 4], ['a', 5]]);
+    return sleep(20);
+  }).then(() => {
+    assert.deepEqual(indexedDB.records.get('lru').entries.map(item => item.key), ['b', 'd', 'a']);
+
+    for (let i = 0; i < 7; i++) {
+      c.set('key' + i, i);
+    }
+    indexedDB.setQuota(400);
+    return p.flush();
+  }).then(() => {
+    assert(c.size < 10);
+    asserteq(indexedDB.records.get('lru').entries.length, c.size);
+    return p.close();
+  }).then(() => {
+    // Without onError, errors of delayed writes are ignored, and a database that
+    // cannot be opened is not written to
+    let tiny = fakeIndexedDB(10);
+    let broken = {
+      open: () => {
+        let req = {};
+        setImmediate(() => { req.error = new Error('cannot open'); req.onerror(); });
+        return req;
+      }
+    };
+    let p2 = new persist.IndexedDBPersistence(new LRUCache(0, 10), { indexedDB: tiny, delay: 1 });
+    let p3 = new persist.IndexedDBPersistence(new LRUCache(0, 10), { indexedDB: broken, delay: 1 });
+    let errors = [];
+    let p4 = new persist.IndexedDBPersistence(new LRUCache(0, 10), { indexedDB: broken, delay: 1, onError: err => errors.push(err) });
+    let thrown = [], rejected = [];
+    let onThrown = err => thrown.push(err), onRejected = err => rejected.push(err);
+    process.on('uncaughtException', onThrown).on('unhandledRejection', onRejected);
+
+    p3.cache.set('early', 1);
+    return Promise.all([p2.ready, p3.ready, p4.ready]).then(() => {
+      p2.cache.set('a', 1);
+      p3.cache.set('a', 1);
+      p4.cache.set('a', 1);
+      return sleep(20);
+    }).then(() => {
+      process.removeListener('uncaughtException', onThrown).removeListener('unhandledRejection', onRejected);
+      asserteq(thrown.length, 0);
+      asserteq(rejected.length, 0);
+      assert.deepEqual(errors.map(err => err.message), ['cannot open']);
+      assert.deepEqual(Array.from(p3.cache.keys()), ['early', 'a']);
+      return Promise.all([p2.close().catch(() => {}), p3.flush(), p3.close(), p4.close()]);
+    });
+  });
+},
+
+['oldest and newest']() {
+  let clock = new FakeClock();
+  let c = new LRUCache(0, 4, [['a', 1], ['b', 2], ['c', 3]], { clock: clock });
+
+  assert.deepEqual(c.oldest, { key: 'a', value: 1 });
+  assert.deepEqual(c.newest, { key: 'c', value: 3 });
+
+  c.get('a');
+  asserteq(c.oldest.key, 'b');
+  asserteq(c.newest.key, 'a');
+
+  // Views are read-only copies
+  let oldest = c.oldest;
+  assert.throws(() => { 'use strict'; oldest.value = 5; }, TypeError);
+  c.set('b', 4);
+  asserteq(oldest.value, 2);
+
+  // Expired entries are skipped
+  c.set('x', 0, { ttl: 1 });
+  clock.advance(5);
+  asserteq(c.newest.key, 'b');
+
+  c.clear();
+  asserteq(c.oldest, undefined);
+  asserteq(c.newest, undefined);
+},
+
+['reverse iteration and slice']() {
+  let c = new LRUCache(0, 5, [['a', 1], ['b', 2], ['c', 3], ['d', 4], ['e', 5]]);
+  c.get('b');
+
+  assert.deepEqual(Array.from(c.rkeys()), ['b', 'e', 'd', 'c', 'a']);
+  assert.deepEqual(Array.from(c.rvalues()), [2, 5, 4, 3, 1]);
+  assert.deepEqual(Array.from(c.rentries()), [['b', 2], ['e', 5], ['d', 4], ['c', 3], ['a', 1]]);
+
+  assert.deepEqual(c.slice(0, 2), [['b', 2], ['e', 5]]);
+  assert.deepEqual(c.slice(3), [['c', 3], ['a', 1]]);
+  assert.deepEqual(c.slice(-2), [['c', 3], ['a', 1]]);
+  assert.deepEqual(c.slice(1, -2), [['e', 5], ['d', 4]]);
+  assert.deepEqual(c.slice(4, 9), [['a', 1]]);
+  assert.deepEqual(c.slice(2, 1), []);
+  asserteq(c.slice().length, 5);
+
+  // slice does not register use
+  asserteq(c.tail.key, 'a');
+},
+
+['iterators fail on modification']() {
+  let c = new LRUCache(0, 5, [['a', 1], ['b', 2], ['c', 3]]);
+
+  for (let method of ['keys', 'values', 'rkeys', 'rvalues', 'rentries', Symbol.iterator]) {
+    let it = c[method]();
+    it.next();
+    c.get(c.tail.key);
+    assert.throws(() => it.next(), /modified during iteration/);
+  }
+
+  assert.throws(() => {
+    for (let [key] of c) {
+      c.delete(key);
+    }
+  }, /modified during iteration/);
+
+  assert.throws(() => c.forEach((value, key) => c.set(key + key, value)), /modified during iteration/);
+
+  // Using the most recently used entry does not change the order
+  let count = 0;
+  c.forEach(() => {
+    c.get(c.head.key);
+    count++;
+  });
+  asserteq(count, c.size);
+},
+
+
+['clock']() {
+  // A function returning the time
+  let time = 1000;
+  let c = new LRUCache(0, 4, { ttl: 10, clock: () => time });
+  c.set('a', 1);
+  time += 5;
+  asserteq(c.getRemainingTTL('a'), 5);
+  time += 6;
+  asserteq(c.has('a'), false);
+
+  // An object with a now() method
+  let clock = new FakeClock(0);
+  asserteq(clock.advance(100), 100);
+  c = new LRUCache(0, 4, { clock: clock });
+  c.set('a', 1, { ttl: 10 });
+  asserteq(c.dump().entries[0].createdAt, 100);
+  clock.time = 200;
+  asserteq(c.has('a'), false);
+
+  // The monotonic clock of the platform
+  c = new LRUCache(0, 4, { ttl: 1000, clock: 'monotonic' });
+  c.set('a', 1);
+  assert(c.getRemainingTTL('a') > 0 && c.getRemainingTTL('a') <= 1000);
+  assert.throws(() => { new LRUCache(0, 4, { clock: 'system' }); }, TypeError);
+  assert.throws(() => { new LRUCache(0, 4, { clock: {} }); }, TypeError);
+
+  // The default FakeClock starts at the current time
+  assert(Math.abs(new FakeClock().now() - Date.now()) < 1000);
+},
+
+['ttl renewal']() {
+  let clock = new FakeClock();
+
+  [LRUCache, TypedLRUCache].forEach(Cache => {
+    // By default, overwriting an entry renews its age and lifetime
+    let c = new Cache(0, 4, { ttl: 10, clock: clock });
+    c.set('a', 1);
+    clock.advance(8);
+    c.set('a', 2);
+    asserteq(c.getRemainingTTL('a'), 10);
+    c.set('a', 3, { ttl: 20 });
+    asserteq(c.getRemainingTTL('a'), 20);
+
+    // The renewed age is stored on the entry, whether or not it is the most
+    // recently used one, and not on the cache
+    let own = Object.getOwnPropertySymbols(c).length;
+    c.set('b', 1);
+    clock.advance(8);
+    c.set('a', 4, { ttl: 20 });
+    asserteq(c.getRemainingTTL('a'), 20);
+    asserteq(c.getRemainingTTL('b'), 2);
+    asserteq(Object.getOwnPropertySymbols(c).length, own);
+    c.delete('b');
+
+    // Reads do not
+    clock.advance(5);
+    c.get('a');
+    c.has('a');
+    asserteq(c.getRemainingTTL('a'), 15);
+
+    // Keeping the age, but taking the new lifetime
+    c = new Cache(0, 4, { ttl: 10, updateAgeOnSet: false, clock: clock });
+    asserteq(c.updateAgeOnSet, false);
+    c.set('a', 1);
+    clock.advance(8);
+    c.set('a', 2);
+    asserteq(c.getRemainingTTL('a'), 2);
+    c.set('a', 3, { ttl: 20 });
+    asserteq(c.getRemainingTTL('a'), 12);
+
+    // Keeping the original deadline
+    c = new Cache(0, 4, { ttl: 10, noUpdateTTL: true, clock: clock });
+    c.set('a', 1);
+    clock.advance(8);
+    c.set('a', 2, { ttl: 20 });
+    asserteq(c.getRemainingTTL('a'), 2);
+    asserteq(c.get('a'), 2);
+    clock.advance(3);
+    asserteq(c.has('a'), false);
+
+    // ...unless it has passed
+    c.set('a', 3);
+    asserteq(c.getRemainingTTL('a'), 10);
+
+    // Sliding expiration
+    c = new Cache(0, 4, { ttl: 10, updateAgeOnGet: true, throwOnMiss: false, clock: clock });
+    c.set('a', 1).set('b', 2);
+    for (let i = 0; i < 3; i++) {
+      clock.advance(8);
+      asserteq(c.get('a'), 1);
+      asserteq(c.getRemainingTTL('a'), 10);
+    }
+    asserteq(c.get('b'), undefined);
+    clock.advance(8);
+    asserteq(c.has('a'), true);
+    asserteq(c.getRemainingTTL('a'), 2);
+    c.peek('a');
+    asserteq(c.getRemainingTTL('a'), 2);
+
+    c = new Cache(0, 4, { ttl: 10, updateAgeOnHas: true, clock: clock });
+    c.set('a', 1);
+    clock.advance(8);
+    asserteq(c.has('a'), true);
+    asserteq(c.getRemainingTTL('a'), 10);
+    clock.advance(8);
+    c.get('a');
+    asserteq(c.getRemainingTTL('a'), 2);
+  });
+},
+
+['readonly view']() {
+  let clock = new FakeClock();
+  let c = new LRUCache(0, 4, [['a', 1], ['b', 2], ['c', 3]], { clock: clock, updateAgeOnHas: true });
+  let used = [];
+  let markEntryAsUsed = c._markEntryAsUsed;
+  c._markEntryAsUsed = function(entry) {
+    used.push(entry.key);
+    return markEntryAsUsed.apply(c, arguments);
+  };
+  let view = c.readonly();
+
+  assert(Object.isFrozen(view));
+  asserteq(view.size, 3);
+  asserteq(view.has('a'), true);
+  asserteq(view.has('x'), false);
+  asserteq(view.find('a'), 1);
+  asserteq(view.peek('b'), 2);
+  assert.deepEqual(Array.from(view.keys()), ['a', 'b', 'c']);
+  assert.deepEqual(Array.from(view.values()), [1, 2, 3]);
+  assert.deepEqual(Array.from(view.entries()), [['a', 1], ['b', 2], ['c', 3]]);
+  assert.deepEqual(Array.from(view), [['a', 1], ['b', 2], ['c', 3]]);
+  assert.deepEqual(Array.from(view.rkeys()), ['c', 'b', 'a']);
+  assert.deepEqual(view.toJSON(), c.toJSON());
+  asserteq(view.oldest.key, 'a');
+
+  let seen = [];
+  view.forEach(function(value, key, m) {
+    seen.push(key);
+    asserteq(m, view);
+    asserteq(this, view);
+  });
+  assert.deepEqual(seen, ['a', 'b', 'c']);
+
+  // Iterators do not give access to the cache
+  asserteq(view.keys().cache, undefined);
+
+  ['set', 'delete', 'clear', 'assign', 'removeLRUItem'].forEach(name => {
+    assert.throws(() => { view[name]('a', 1); }, /read-only/);
+  });
+  assert.throws(() => { 'use strict'; view.set = () => {}; }, TypeError);
+  asserteq(view.get, undefined);
+  asserteq(c.toString(), 'a:1 < b:2 < c:3');
+  assert.deepEqual(used, []);
+
+  // Reads do not renew or remove expired entries
+  c.set('d', 4, { ttl: 10 });
+  clock.advance(5);
+  asserteq(view.has('d'), true);
+  asserteq(view.getRemainingTTL('d'), 5);
+  clock.advance(10);
+  asserteq(view.has('d'), false);
+  asserteq(view.size, 4);
+
+  // The view follows changes to the cache
+  c.delete('d');
+  c.get('a');
+  assert.deepEqual(Array.from(view.keys()), ['b', 'c', 'a']);
+  assert.deepEqual(used, ['a']);
+},
+
+['batch operations']() {
+  let c = new LRUCache(0, 4, { throwOnMiss: true });
+  asserteq(c.setMany([['a', 1], ['b', 2], ['c', undefined]]), c);
+  c.setMany(new Map([['d', 4], ['e', 5]]), { ttl: 1000 });
+  assert.deepEqual(Array.from(c.keys()), ['b', 'c', 'd', 'e']);
+  asserteq(c.getRemainingTTL('e') > 0 && c.getRemainingTTL('e') <= 1000, true);
+
+  // getMany() registers use like get(), but does not throw on misses
+  let result = c.getMany(['b', 'x', 'c', 'a']);
+  assert.deepEqual(Array.from(result.hits), [['b', 2], ['c', undefined]]);
+  assert.deepEqual(result.misses, ['x', 'a']);
+  assert.deepEqual(Array.from(c.keys()), ['d', 'e', 'b', 'c']);
+
+  asserteq(c.deleteMany(['d', 'x', 'b']), 2);
+  assert.deepEqual(Array.from(c.keys()), ['e', 'c']);
+
+  // Each entry gets its own copy of the options
+  let options = { ttl: 1000 };
+  let given = [];
+  let set = c.set;
+  c.set = function(key, value, options) {
+    given.push(options);
+    return set.apply(this, arguments);
+  };
+  c.setMany([['f', 6], ['g', 7]], options);
+  asserteq(given.length, 2);
+  assert(given[0] !== given[1] && given.indexOf(options) < 0);
+  assert.deepEqual(given[0], options);
+
+  // Expired entries are removed, but not counted
+  let clock = new FakeClock();
+  c = new LRUCache(0, 4, { clock: clock });
+  c.set('a', 1, { ttl: 10 }).set('b', 2);
+  clock.advance(20);
+  asserteq(c.deleteMany(['a', 'b', 'x']), 1);
+  asserteq(c.size, 0);
+},
+
+['transaction']() {
+  let clock = new FakeClock();
+  let log = [];
+  let c = new LRUCache(0, 3, [['a', 1], ['b', 2], ['c', 3]], {
+    stats: true,
+    clock: clock,
+    dispose: (value, key, reason) => log.push(['dispose', key, reason]),
+  });
+  c.on('set', key => log.push(['set', key])).on('evict', key => log.push(['evict', key]));
+  c.set('a', 10, { ttl: 50, tags: ['t'] });
+  log = [];
+
+  // Changes are rolled back when the function throws
+  let err = new Error('failed');
+  assert.throws(() => {
+    c.transaction(tx => {
+      asserteq(tx, c);
+      tx.set('d', 4);   // evicts b
+      tx.invalidateTag('t');
+      tx.set('a', 11);
+      tx.delete('c');
+      tx.setMany([['e', 5], ['f', 6]]);   // evicts d
+      assert.deepEqual(Array.from(tx.entries()), [['a', 11], ['e', 5], ['f', 6]]);
+      throw err;
+    });
+  }, e => e === err);
+
+  assert.deepEqual(log, []);
+  assert.deepEqual(Array.from(c.entries()), [['b', 2], ['c', 3], ['a', 10]]);
+  asserteq(c.size, 3);
+  asserteq(c.getRemainingTTL('a'), 50);
+  asserteq(c.invalidateTag('t'), 1);
+  asserteq(c.stats().sets, 1);
+  c.set('a', 10);
+  log = [];
+
+  // Side effects happen once the transaction completes
+  let result = c.transaction(tx => {
+    tx.set('d', 4);   // evicts b
+    tx.delete('c');
+    assert.deepEqual(log, []);
+    return 'done';
+  });
+  asserteq(result, 'done');
+  assert.deepEqual(log, [['dispose', 'b', 'evict'], ['evict', 'b'], ['set', 'd'], ['dispose', 'c', 'delete']]);
+  assert.deepEqual(Array.from(c.keys()), ['a', 'd']);
+
+  // A nested transaction that fails only undoes its own changes
+  log = [];
+  c.transaction(tx => {
+    tx.set('e', 5);
+    assert.throws(() => {
+      tx.transaction(() => {
+        tx.set('f', 6);   // evicts a
+        throw err;
+      });
+    }, e => e === err);
+    assert.deepEqual(Array.from(tx.keys()), ['a', 'd', 'e']);
+  });
+  assert.deepEqual(log, [['set', 'e']]);
+
+  // Asynchronous functions cannot be rolled back
+  assert.throws(() => {
+    c.transaction(tx => {
+      tx.clear();
+      return Promise.resolve();
+    });
+  }, TypeError);
+  assert.deepEqual(Array.from(c.keys()), ['a', 'd', 'e']);
+
+  // Writes to the secondary store wait too
+  let store = new stores.MemoryStore();
+  let c2 = new LRUCache(0, 2, { secondary: store });
+  assert.throws(() => {
+    c2.transaction(tx => {
+      tx.set('a', 1);
+      throw err;
+    });
+  }, e => e === err);
+  c2.transaction(tx => tx.set('b', 2));
+
+  return c2.flush().then(() => {
+    assert.deepEqual(Array.from(store.records.keys()), ['b']);
+  });
+},
+
+['transaction rollback restores the policy, admission and fetch state']() {
+  let err = new Error('failed');
+  let fail = (c, fn) => {
+    assert.throws(() => {
+      c.transaction(tx => {
+        fn(tx);
+        throw err;
+      });
+    }, e => e === err);
+  };
+
+  // b is used more often than a, which is more recent
+  let c = new LRUCache(0, 2, { policy: 'lfu' });
+  c.set('a', 1).set('b', 2);
+  c.get('b'); c.get('b'); c.get('b'); c.get('a');
+  fail(c, tx => tx.set('c', 3));
+  c.set('c', 3);
+  assert.deepEqual(Array.from(c.keys()).sort(), ['b', 'c']);
+
+  // The keys of evicted entries are still remembered
+  c = new LRUCache(0, 2, { policy: 'arc' });
+  c.set('a', 1).set('b', 2);
+  c.get('a');
+  c.set('c', 3);  // evicts b
+  assert(c._policy.b1.has('b'));
+  fail(c, tx => tx.clear());
+  assert(c._policy.b1.has('b'));
+  assert.deepEqual(Array.from(c.keys()), ['a', 'c']);
+
+  // Uses recorded by the admission filter are forgotten
+  c = new LRUCache(0, 2, { admission: 'tinylfu', throwOnMiss: false });
+  c.set('a', 1).set('b', 2);
+  c.get('a'); c.get('b');
+  fail(c, tx => {
+    for (let i = 0; i < 5; i++) {
+      tx.get('x');
+    }
+  });
+  c.set('x', 0);
+  asserteq(c.has('x'), false);
+
+  // A fetch dropped by the transaction fills the cache again, and one it
+  // started does not
+  c = new LRUCache(0, 2, { fetchMethod: (key) => sleep(1).then(() => key.toUpperCase()) });
+  let fetching = c.fetch('a');
+  let started;
+  fail(c, tx => {
+    tx.set('a', 'mine');
+    started = tx.fetch('b');
+  });
+
+  return Promise.all([fetching, started]).then(values => {
+    assert.deepEqual(values, ['A', 'B']);
+    asserteq(c.find('a'), 'A');
+    asserteq(c.has('b'), false);
+  });
+},
+
+['transaction in a pool']() {
+  let pool = new lru.CachePool({ limit: 3 });
+  let a = pool.cache('a');
+  let b = pool.cache('b');
+  a.set('x', 1).set('y', 2);
+  b.set('z', 3);
+
+  // Other caches of the pool are left alone until the transaction completes
+  a.transaction(() => {
+    a.set('w', 4);
+    asserteq(b.size, 1);
+    asserteq(pool.size, 4);
+  });
+  asserteq(pool.size, 3);
+  assert.deepEqual(Array.from(a.keys()), ['y', 'w']);
+
+  assert.throws(() => {
+    a.transaction(() => {
+      a.set('v', 5);
+      throw new Error('failed');
+    });
+  }, /failed/);
+  asserteq(pool.size, 3);
+  assert.deepEqual(Array.from(a.keys()), ['y', 'w']);
+  asserteq(b.find('z'), 3);
+},
 
 ['entry iterator']() {
   let c = new LRUCache(0, 4, [
@@ -4,3 +4,119 @@ let m = new LRUCache<number, number>(0, 3);
 let entit = m.entries();
 let k : number = entit.next().value[0];
 let v : number = entit.next().value[1];
+
+let sized = new LRUCache<string, string>(0, 0, { maxSize: 100, sizeCalculation: (v, k) => v.length });
+sized.set('a', 'abc').set('b', 'de', { size: 2 });
+let total : number = sized.calculatedSize;
+
+let timed = new LRUCache<string, number>(0, 10, { ttl: 500 });
+timed.set('a', 1, { ttl: 100 });
+let remaining : number = timed.getRemainingTTL('a');
+
+let purged : number = new LRUCache<string, number>(0, 10, { purgeInterval: 1000 }).purgeStale();
+
+let disposed = new LRUCache<string, number>(0, 10, {
+  dispose: (value, key, reason) => { let r : string = reason; },
+});
+
+let fetching = new LRUCache<string, number>(0, 10, {
+  fetchMethod: (key, stale, { signal, options }) => Promise.resolve(key.length),
+});
+fetching.fetch('abc', { signal: new AbortController().signal }).then((n : number) => n);
+
+let stale = new LRUCache<string, number>(0, 10, { allowStale: true, staleIfError: 1000 });
+let allowStale : boolean = stale.allowStale;
+
+import {NotFoundError, OverflowError, CacheSnapshot, policies} from './lru'
+let lenient = new LRUCache<string, number>(0, 10, { throwOnMiss: false });
+let peeked : number | undefined = lenient.peek('a');
+try { lenient.get('a'); } catch (err) { if (err instanceof NotFoundError) { let key = err.key; } }
+
+let counted = new LRUCache<string, number>(0, 10, { stats: true });
+let ratio : number = counted.stats()!.hitRatio;
+counted.resetStats();
+
+let snapshot : CacheSnapshot = m.dump({ serializeKey: (k) => String(k) });
+let loaded : number = m.load(snapshot, { deserializeKey: (k) => Number(k) });
+
+m.on('evict', (key, value) => { let n : number = key + value; })
+ .once('miss', (key : number) => {})
+ .off('clear', () => {});
+
+let arc = new LRUCache<string, number>(0, 10, { policy: 'arc' });
+let lfu = new LRUCache<string, number>(0, 10, { policy: policies['lfu'] });
+let admitting = new LRUCache<string, number>(0, 10, { admission: 'tinylfu', stats: true });
+let rejections : number = admitting.stats().rejections;
+
+import {TypedLRUCache} from './lru-typed'
+let typed = new TypedLRUCache<number, string>(0, 1000000, { ttl: 1000 });
+let typedValue : string = typed.set(1, 'a').get(1);
+let typedTail : number = typed.tail.key;
+let typedCopy = new TypedLRUCache<number, string>(0, 10, { stats: true, fetchMethod: (key) => String(key) });
+typedCopy.on('evict', (key, value) => {}).load(typed.dump());
+let typedFetched : Promise<string | undefined> = typedCopy.fetch(2);
+typedCopy.set(3, 'c', { tags: ['odd'] }).invalidateTag('odd');
+let typedDeleted : number = typedCopy.deleteWhere((value, key, meta) => meta.tags.length > 0);
+let typedView : boolean = typedCopy.readonly().has(3);
+let typedMisses : number[] = typedCopy.setMany([[4, 'd']]).getMany([4, 5]).misses;
+let typedSize : number = typedCopy.transaction(tx => tx.deleteMany([4]) + tx.size);
+let typedNewest : string = typedCopy.newest!.value + typedCopy.slice(0, 1)[0][1] + Array.from(typedCopy.rkeys()).length;
+
+import {CachePool} from './lru'
+let pool = new CachePool<string>({ limit: 100 });
+let users : LRUCache<number, string> = pool.cache<number>('users', { min: 10, ttl: 1000 });
+let pooled : number = pool.size;
+
+m.set(1, 2, { tags: ['odd'] });
+let invalidated : number = m.invalidateTag('odd') + m.deleteWhere((value, key, meta) => meta.createdAt < Date.now());
+
+import {MemoryStore} from './lru-stores'
+let tiered = new LRUCache<string, number>(0, 10, { secondary: new MemoryStore<string, number>(), writeMode: 'write-back' });
+tiered.flush().then(() => tiered.fetch('a'));
+
+import {SharedCacheHost, SharedCacheClient} from './lru-shared'
+let sharedHost = new SharedCacheHost(new LRUCache<string, number>(0, 10));
+let sharedClient = new SharedCacheClient<string, number>(sharedHost.connect(), { local: new LRUCache<string, number>(0, 2) });
+sharedClient.set('a', 1).then(() => sharedClient.get('a')).then(n => n.toFixed());
+
+import {memoize} from './lru'
+let square = memoize((n :number) => n * n, { limit: 100, keyResolver: (n :number) => n });
+square(2).toFixed();
+square.delete(2);
+square.cache.size;
+
+import {StoragePersistence, IndexedDBPersistence} from './lru-persist'
+let persisted = new LRUCache<string, Date>(60, 100);
+let persistence = new StoragePersistence(persisted, { key: 'dates', deserializeValue: (s :string) => new Date(s) });
+persistence.flush();
+new IndexedDBPersistence(new LRUCache<string, number>(0, 10), { delay: 1000 }).ready.then(() => {});
+
+let ranked = new LRUCache<string, number>(0, 10, [['a', 1], ['b', 2]]);
+let newestKey :string = ranked.newest ? ranked.newest.key : '';
+for (let [key, value] of ranked.rentries()) { value.toFixed(); }
+ranked.slice(0, 1)[0][1].toFixed();
+
+import {FakeClock} from './lru'
+let clock = new FakeClock(0);
+let ticking = new LRUCache<string, number>(0, 10, { ttl: 1000, clock: clock });
+clock.advance(500).toFixed();
+new LRUCache<string, number>(0, 10, { clock: () => Date.now() });
+new LRUCache<string, number>(0, 10, { clock: 'monotonic' });
+let sliding = new LRUCache<string, number>(0, 10, { ttl: 1000, updateAgeOnGet: true, noUpdateTTL: false });
+let renewed :boolean = sliding.updateAgeOnSet && sliding.updateAgeOnHas;
+
+import {ReadonlyLRUCache} from './lru'
+let view :ReadonlyLRUCache<string, number> = ranked.readonly();
+view.has('a') && view.peek('a');
+for (let [key, value] of view) { value.toFixed(); }
+view.forEach((value, key, m) => m.size);
+
+let batch = new LRUCache<string, number>(0, 10).setMany([['a', 1], ['b', 2]], { ttl: 1000 });
+let { hits, misses } = batch.getMany(['a', 'x']);
+hits.get('a');
+misses[0].toUpperCase();
+batch.deleteMany(misses).toFixed();
+let batchSize :number = batch.transaction(tx => tx.set('c', 3).size);
+
+batch.assign([['a', 1], ['b', 2]], 'fit');
+batch.assign([['c', 3]], 'merge');